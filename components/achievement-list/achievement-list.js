@@ -0,0 +1,129 @@
+/**
+ * <achievement-list> Web Component
+ *
+ * Shows every achievement as a badge: unlocked ones in colour, locked ones
+ * greyed out. Hovering (or focusing) a badge shows its name and how to
+ * earn it.
+ *
+ * Attributes:
+ *   lang — UI language
+ *
+ * Methods:
+ *   setProgress(progress) — achievements.js progress record (or null)
+ *
+ * Usage:
+ *   <achievement-list></achievement-list>
+ *   el.setProgress(await getAchievementProgress());
+ */
+
+import { t }            from '../../core/i18n.js';
+import { ACHIEVEMENTS } from '../../core/achievements.js';
+
+const template = document.createElement('template');
+template.innerHTML = `
+<style>
+  :host {
+    display: block;
+  }
+
+  .section-label {
+    display: flex;
+    justify-content: space-between;
+    font-size: .72rem;
+    font-weight: 600;
+    text-transform: uppercase;
+    letter-spacing: .06em;
+    color: var(--color-text-muted);
+    margin-bottom: .6rem;
+  }
+
+  .badges {
+    display: grid;
+    grid-template-columns: repeat(auto-fill, minmax(2.5rem, 1fr));
+    gap: .4rem;
+    list-style: none;
+  }
+
+  .badge {
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    aspect-ratio: 1;
+    font-size: 1.3rem;
+    border-radius: 10px;
+    background: var(--color-cell-bg);
+    border: 1px solid var(--color-border);
+    cursor: default;
+  }
+
+  .badge.locked {
+    filter: grayscale(1);
+    opacity: .35;
+  }
+
+  .badge.unlocked {
+    border-color: var(--color-primary);
+  }
+
+  .badge:focus-visible {
+    outline: 2px solid var(--color-focus);
+    outline-offset: 2px;
+  }
+</style>
+<div class="section-label">
+  <span id="label">Achievements</span>
+  <span id="count"></span>
+</div>
+<ul class="badges" id="badges"></ul>
+`;
+
+class AchievementList extends HTMLElement {
+  static get observedAttributes() { return ['lang']; }
+
+  constructor() {
+    super();
+    this._progress = null;
+    this._lang     = 'en';
+  }
+
+  attributeChangedCallback(name, oldVal, newVal) {
+    if (name === 'lang' && oldVal !== newVal) {
+      this._lang = newVal;
+      if (this.shadowRoot) this._render();
+    }
+  }
+
+  connectedCallback() {
+    if (this.shadowRoot) return; // already set up
+    this._lang = this.getAttribute('lang') ?? this._lang;
+
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.appendChild(template.content.cloneNode(true));
+    this._render();
+  }
+
+  // ── Public methods ──────────────────────────────────────────────────────────
+
+  setProgress(progress) {
+    this._progress = progress;
+    if (this.shadowRoot) this._render();
+  }
+
+  // ── Rendering ───────────────────────────────────────────────────────────────
+
+  _render() {
+    const lang     = this._lang;
+    const unlocked = this._progress?.unlocked ?? {};
+    const count    = ACHIEVEMENTS.filter(a => unlocked[a.id]).length;
+
+    this.shadowRoot.getElementById('label').textContent = t('achievements', lang);
+    this.shadowRoot.getElementById('count').textContent = `${count} / ${ACHIEVEMENTS.length}`;
+    this.shadowRoot.getElementById('badges').innerHTML = ACHIEVEMENTS.map(a => {
+      const title = `${t(`ach-${a.id}`, lang)} — ${t(`ach-${a.id}-desc`, lang)}`;
+      const state = unlocked[a.id] ? 'unlocked' : 'locked';
+      return `<li class="badge ${state}" tabindex="0" title="${title}" aria-label="${title}">${a.icon}</li>`;
+    }).join('');
+  }
+}
+
+customElements.define('achievement-list', AchievementList);
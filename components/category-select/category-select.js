@@ -0,0 +1,170 @@
+/**
+ * <category-select> Web Component
+ *
+ * Theme picker for FillWrds. Renders one icon + label button per category
+ * from core/categories.js; the chosen theme decides which words a New Game
+ * draws from.
+ *
+ * Attributes:
+ *   selected-category — active category id ('any'|'animals'|…)
+ *   lang              — UI language
+ *
+ * Events dispatched:
+ *   category-changed  — CustomEvent({ detail: { category: string } })
+ *
+ * Usage:
+ *   <category-select selected-category="any"></category-select>
+ */
+
+import { CATEGORIES, DEFAULT_CATEGORY } from '../../core/categories.js';
+import { t } from '../../core/i18n.js';
+
+const template = document.createElement('template');
+template.innerHTML = `
+<style>
+  :host {
+    display: block;
+  }
+
+  .section-label {
+    font-size: .72rem;
+    font-weight: 600;
+    text-transform: uppercase;
+    letter-spacing: .06em;
+    color: #6b7280;
+    margin-bottom: .6rem;
+  }
+
+  .btn-group {
+    display: grid;
+    grid-template-columns: repeat(2, minmax(0, 1fr));
+    gap: .35rem;
+  }
+
+  .category-btn {
+    display: flex;
+    align-items: center;
+    gap: .4rem;
+    padding: .4rem .55rem;
+    border: 1.5px solid var(--color-border, #d1d9e0);
+    border-radius: 8px;
+    background: transparent;
+    cursor: pointer;
+    font-family: inherit;
+    font-size: .82rem;
+    font-weight: 500;
+    color: inherit;
+    text-align: left;
+    transition: background 120ms ease, border-color 120ms ease;
+  }
+
+  .category-btn:hover {
+    border-color: var(--color-primary, #4f46e5);
+  }
+
+  .category-btn[aria-pressed="true"] {
+    background: rgba(79, 70, 229, .12);
+    border-color: var(--color-primary, #4f46e5);
+    color: var(--color-primary, #4f46e5);
+    font-weight: 700;
+  }
+
+  .category-btn:focus-visible {
+    outline: 2px solid var(--color-focus, #4f46e5);
+    outline-offset: 2px;
+  }
+
+  .category-label {
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+</style>
+
+<p class="section-label">Theme</p>
+<div class="btn-group" role="group" aria-label="Theme">
+${CATEGORIES.map(({ id, icon }) => `
+  <button class="category-btn" data-category="${id}" aria-pressed="false" type="button">
+    <span aria-hidden="true">${icon}</span>
+    <span class="category-label">${id}</span>
+  </button>`).join('')}
+</div>
+`;
+
+class CategorySelect extends HTMLElement {
+  static get observedAttributes() {
+    return ['selected-category', 'lang'];
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.appendChild(template.content.cloneNode(true));
+    this._lang    = 'en';
+    this._onClick = this._onClick.bind(this);
+  }
+
+  connectedCallback() {
+    this.shadowRoot.querySelectorAll('.category-btn').forEach(btn => {
+      btn.addEventListener('click', this._onClick);
+    });
+    this._updatePressed(this.selectedCategory);
+    this._applyLang(this.getAttribute('lang') ?? this._lang);
+  }
+
+  disconnectedCallback() {
+    this.shadowRoot.querySelectorAll('.category-btn').forEach(btn => {
+      btn.removeEventListener('click', this._onClick);
+    });
+  }
+
+  attributeChangedCallback(name, oldVal, newVal) {
+    if (name === 'selected-category' && oldVal !== newVal) {
+      this._updatePressed(this.selectedCategory);
+    }
+    if (name === 'lang' && oldVal !== newVal) {
+      this._applyLang(newVal);
+    }
+  }
+
+  get selectedCategory() {
+    return this.getAttribute('selected-category') ?? DEFAULT_CATEGORY;
+  }
+
+  set selectedCategory(id) {
+    this.setAttribute('selected-category', id);
+  }
+
+  // ── Private ───────────────────────────────────────────────────────────────
+
+  _onClick(e) {
+    const category = e.currentTarget.dataset.category;
+    if (category === this.selectedCategory) return;
+
+    this.setAttribute('selected-category', category);
+
+    this.dispatchEvent(new CustomEvent('category-changed', {
+      bubbles:  true,
+      composed: true,
+      detail:   { category },
+    }));
+  }
+
+  _updatePressed(activeCategory) {
+    this.shadowRoot.querySelectorAll('.category-btn').forEach(btn => {
+      btn.setAttribute('aria-pressed', String(btn.dataset.category === activeCategory));
+    });
+  }
+
+  _applyLang(lang) {
+    this._lang = lang;
+    const label = t('category', lang);
+    this.shadowRoot.querySelector('.section-label').textContent = label;
+    this.shadowRoot.querySelector('.btn-group').setAttribute('aria-label', label);
+    this.shadowRoot.querySelectorAll('.category-btn').forEach(btn => {
+      btn.querySelector('.category-label').textContent = t(`cat-${btn.dataset.category}`, lang);
+    });
+  }
+}
+
+customElements.define('category-select', CategorySelect);
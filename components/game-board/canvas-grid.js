@@ -0,0 +1,215 @@
+/**
+ * canvas-grid.js
+ * Canvas backend for <game-board renderer="canvas">.
+ *
+ * Draws the whole letter grid onto a single <canvas>, so big grids (up to
+ * 40×40) cost one element instead of one per cell. Each cell's state is a
+ * set of flags named after the DOM renderer's cell classes (selecting,
+ * found, hint, hint-flash, invalid, revealed, kbd-anchor), and cells are
+ * handed to the board as CanvasCell objects exposing the small part of the
+ * Element API the board touches — classList, dataset, tabIndex, focus() —
+ * so selection, hint and reveal logic is shared by both renderers. Every
+ * state change schedules one repaint on the next animation frame.
+ *
+ * Animations (found pop, hint pulse, staggered reveal) are CSS-only and
+ * are drawn as their end state here.
+ *
+ * Exported API:
+ *   new CanvasGrid(grid, host, { gap }) — `host` is the <game-board>, used
+ *                                         to resolve theme colours
+ *     .canvas           — the <canvas> element to insert
+ *     .cell(row, col)   → CanvasCell, or null for gaps / out of range
+ *     .focus(row, col)  — move the drawn focus ring and focus the canvas
+ *     .invalidate()     — schedule a repaint (theme change, pause, …)
+ *     .destroy()        — stop observing and painting
+ */
+
+// Theme tokens read on every paint, so theme switches need only a repaint
+const TOKENS = [
+  'cell-bg', 'border', 'text', 'focus',
+  'cell-select', 'cell-select-border', 'cell-select-text',
+  'hint', 'hint-border', 'hint-text',
+  'invalid', 'invalid-border', 'invalid-text',
+  'revealed', 'revealed-border', 'revealed-text',
+];
+
+// Flag → [background, border, text] tokens, highest priority first
+const STATE_COLORS = [
+  ['invalid',    ['invalid', 'invalid-border', 'invalid-text']],
+  ['selecting',  ['cell-select', 'cell-select-border', 'cell-select-text']],
+  ['revealed',   ['revealed', 'revealed-border', 'revealed-text']],
+  ['hint-flash', ['hint', 'hint-border', 'hint-text']],
+  ['hint',       ['hint', 'hint-border', 'hint-text']],
+];
+
+const DEFAULT_COLORS = ['cell-bg', 'border', 'text'];
+
+const CELL_RADIUS = 5;
+
+// ── Cells ─────────────────────────────────────────────────────────────────────
+
+/** One cell of a canvas grid, shaped like the DOM cell the board expects. */
+class CanvasCell {
+  constructor(owner, row, col, letter) {
+    const flags = new Set();
+
+    this.dataset     = { row: String(row), col: String(col) };
+    this.textContent = letter;
+    this.tabIndex    = -1;
+    this.label       = '';
+    // Per-cell CSS variables (the reveal stagger) have nothing to drive here
+    this.style       = { setProperty() {} };
+    this.flags       = flags;
+    this.classList   = {
+      add(...names)    { names.forEach(n => flags.add(n));    owner.invalidate(); },
+      remove(...names) { names.forEach(n => flags.delete(n)); owner.invalidate(); },
+      contains(name)   { return flags.has(name); },
+    };
+
+    this._owner = owner;
+    this._row   = row;
+    this._col   = col;
+  }
+
+  setAttribute(name, value) {
+    if (name === 'aria-label') this.label = value;
+  }
+
+  focus() {
+    this._owner.focus(this._row, this._col);
+  }
+}
+
+// ── Grid ──────────────────────────────────────────────────────────────────────
+
+export class CanvasGrid {
+  constructor(grid, host, { gap = 2 } = {}) {
+    this._grid    = grid;
+    this._host    = host;
+    this._gap     = gap;
+    this._rows    = grid.length;
+    this._cols    = grid[0]?.length ?? 0;
+    this._frame   = null;
+    this._focused = null;
+    this._cells   = grid.map((line, r) =>
+      line.map((letter, c) => (letter === null ? null : new CanvasCell(this, r, c, letter))));
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'canvas-grid';
+    this.canvas.tabIndex  = 0;
+    this.canvas.setAttribute('role', 'application');
+    this.canvas.setAttribute('aria-label', 'Word search grid');
+
+    this.canvas.addEventListener('focus', () => this.invalidate());
+    this.canvas.addEventListener('blur',  () => this.invalidate());
+
+    this._resizeObserver = new ResizeObserver(() => this._resize());
+    this._resizeObserver.observe(this.canvas);
+  }
+
+  cell(row, col) {
+    return this._cells[row]?.[col] ?? null;
+  }
+
+  focus(row, col) {
+    const cell = this.cell(row, col);
+    if (!cell) return;
+    this._focused = { row, col };
+    this.canvas.setAttribute('aria-label', cell.label);
+    if (this._host.shadowRoot.activeElement !== this.canvas) this.canvas.focus();
+    this.invalidate();
+  }
+
+  invalidate() {
+    if (this._frame !== null) return;
+    this._frame = requestAnimationFrame(() => {
+      this._frame = null;
+      this._paint();
+    });
+  }
+
+  destroy() {
+    this._resizeObserver.disconnect();
+    if (this._frame !== null) cancelAnimationFrame(this._frame);
+    this._frame = null;
+  }
+
+  // ── Private ─────────────────────────────────────────────────────────────────
+
+  /** Match the backing store to the displayed size (and pixel ratio). */
+  _resize() {
+    const dpr    = window.devicePixelRatio || 1;
+    const width  = Math.round(this.canvas.clientWidth * dpr);
+    const height = Math.round(this.canvas.clientHeight * dpr);
+    if (width === this.canvas.width && height === this.canvas.height) return;
+    this.canvas.width  = width;
+    this.canvas.height = height;
+    this.invalidate();
+  }
+
+  _colors() {
+    const style  = getComputedStyle(this._host);
+    const colors = {};
+    for (const token of TOKENS) colors[token] = style.getPropertyValue(`--color-${token}`).trim();
+    colors.font = style.fontFamily;
+    return colors;
+  }
+
+  _paint() {
+    const ctx = this.canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+    const w   = this.canvas.clientWidth;
+    const h   = this.canvas.clientHeight;
+    if (w === 0 || h === 0) return;
+
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, w, h);
+
+    const colors  = this._colors();
+    const gap     = this._gap;
+    const cellW   = (w - gap * (this._cols - 1)) / this._cols;
+    const cellH   = (h - gap * (this._rows - 1)) / this._rows;
+    const paused  = this._host.hasAttribute('paused');
+    const focused = this._host.shadowRoot.activeElement === this.canvas ? this._focused : null;
+
+    ctx.font         = `700 ${Math.max(6, Math.min(cellW, cellH) * .5)}px ${colors.font}`;
+    ctx.textAlign    = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth    = 1;
+
+    for (let r = 0; r < this._rows; r++) {
+      for (let c = 0; c < this._cols; c++) {
+        const cell = this._cells[r][c];
+        if (!cell) continue;
+
+        const x = c * (cellW + gap);
+        const y = r * (cellH + gap);
+        const [bg, border, text] = (STATE_COLORS.find(([flag]) => cell.flags.has(flag))?.[1] ?? DEFAULT_COLORS)
+          .map(token => colors[token]);
+
+        ctx.beginPath();
+        ctx.roundRect(x + .5, y + .5, cellW - 1, cellH - 1, CELL_RADIUS);
+        ctx.fillStyle   = bg;
+        ctx.fill();
+        ctx.strokeStyle = border;
+        ctx.stroke();
+
+        if (!paused) {
+          ctx.fillStyle = text;
+          ctx.fillText(cell.textContent.toUpperCase(), x + cellW / 2, y + cellH / 2);
+        }
+
+        const ringed = cell.flags.has('kbd-anchor') || (focused?.row === r && focused?.col === c);
+        if (ringed) {
+          ctx.save();
+          ctx.lineWidth   = 2;
+          ctx.strokeStyle = colors.focus;
+          ctx.beginPath();
+          ctx.roundRect(x + 2, y + 2, cellW - 4, cellH - 4, CELL_RADIUS - 1);
+          ctx.stroke();
+          ctx.restore();
+        }
+      }
+    }
+  }
+}
@@ -2,14 +2,41 @@
  * <game-board> Web Component
  *
  * Renders the fillwords letter grid and handles player selection via
- * mouse/touch drag and keyboard navigation.
+ * mouse/touch drag and keyboard navigation. Grids may be rectangular and
+ * masked: null cells are drawn as gaps and skipped by keyboard navigation.
+ * Each found word is drawn as a translucent capsule stroke in its own
+ * palette colour (palette.js), so crossing words stay distinguishable.
+ *
+ * Two renderers share the same API and events:
+ *   dom    (default) — one element per cell, fully accessible grid roles
+ *   canvas           — the whole grid on one <canvas> (canvas-grid.js),
+ *                      for large grids; no CSS cell animations
+ * Either way, pointer input is hit-tested from coordinates and cells are
+ * looked up by index, never by querying the DOM.
+ *
+ * Attributes:
+ *   paused       — hides the letters and ignores input while present
+ *   renderer     — 'dom' | 'canvas'; read when a grid is loaded, so a
+ *                  change applies from the next setGrid()
  *
  * Properties:
  *   grid         {string[][]}  — 2D char array from generateGrid()
  *   targetWords  {string[]}    — words to find (used by validator)
  *
  * Methods:
- *   setGrid(grid, targetWords) — load a new puzzle
+ *   setGrid(grid, targetWords, { mode, placements }) — load a new puzzle
+ *                                ('wordsearch' = straight lines,
+ *                                 'fillwords'  = bending orthogonal paths;
+ *                                 placements, when given, pin each word
+ *                                 to its recorded cells)
+ *   showHint(hint)             — highlight a hint from hints.js nextHint():
+ *                                first-letter / direction cells stay marked
+ *                                until found; 'word' hints flash every cell
+ *   markFound(cells, word)     — restore a found word's highlight (e.g.
+ *                                when resuming a saved game) without events
+ *   reveal(placements)         — animate the given unfound placements in
+ *                                the "revealed" colour and stop accepting
+ *                                input until the next setGrid()/reset()
  *   showLoading()              — overlay spinner while fetching
  *   hideLoading()              — remove spinner
  *   reset()                    — clear board to empty state
@@ -20,6 +47,10 @@
  */
 
 import { checkSelection } from '../../core/validator.js';
+import { wordColor }      from '../../core/palette.js';
+import { CanvasGrid }     from './canvas-grid.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
 
 const template = document.createElement('template');
 template.innerHTML = `
@@ -40,6 +71,23 @@ template.innerHTML = `
     position: relative;
   }
 
+  /* Paused: letters hidden and the grid blurred, so pausing can't be used
+     to study the puzzle off the clock */
+  :host([paused]) .grid,
+  :host([paused]) .canvas-grid {
+    filter: blur(6px);
+    pointer-events: none;
+  }
+
+  :host([paused]) .cell-letter {
+    visibility: hidden;
+  }
+
+  /* Masked-out cell: keeps its slot in the grid but is not playable */
+  .cell.gap {
+    visibility: hidden;
+  }
+
   /* ── Loading overlay ── */
   .loading-overlay {
     display: none;
@@ -131,6 +179,23 @@ template.innerHTML = `
     border-color: var(--color-cell-hover-border);
   }
 
+  /* Hinted cells (first letter, direction) stay marked until found */
+  .cell.hint {
+    background: var(--color-hint);
+    border-color: var(--color-hint-border);
+    color: var(--color-hint-text);
+  }
+
+  /* Whole-word hint: a few pulses, then back to normal */
+  .cell.hint-flash {
+    animation: hint-pulse 400ms ease-in-out 3;
+  }
+
+  @keyframes hint-pulse {
+    0%, 100% { background: var(--color-cell-bg); }
+    50%      { background: var(--color-hint); border-color: var(--color-hint-border); }
+  }
+
   /* Active drag / keyboard selection */
   .cell.selecting {
     background: var(--color-cell-select);
@@ -146,11 +211,9 @@ template.innerHTML = `
     outline-offset: -2px;
   }
 
-  /* Permanently found — with a brief pop animation */
+  /* Permanently found — the colour comes from the word's stroke; the cell
+     itself only pops */
   .cell.found {
-    background: var(--color-found);
-    border-color: var(--color-found-border);
-    color: var(--color-found-text);
     animation: cell-pop 280ms cubic-bezier(.175,.885,.32,1.275);
   }
 
@@ -160,6 +223,48 @@ template.innerHTML = `
     100% { transform: scale(1);    }
   }
 
+  /* Revealed after giving up — each word pops in after the previous one */
+  .cell.revealed {
+    background: var(--color-revealed);
+    border-color: var(--color-revealed-border);
+    color: var(--color-revealed-text);
+    animation: reveal-pop 320ms cubic-bezier(.175,.885,.32,1.275) var(--reveal-delay, 0ms) both;
+  }
+
+  @keyframes reveal-pop {
+    0%   { transform: scale(1);    background: var(--color-cell-bg); }
+    50%  { transform: scale(1.18); }
+    100% { transform: scale(1);    }
+  }
+
+  /* ── Found-word strokes ──
+     One capsule per word over the letters, in grid units (1 = one cell
+     plus its gap); translucent so crossing words show both strokes.
+     The inset (set from CELL_GAP) is applied in _render() */
+  .strokes {
+    position: absolute;
+    pointer-events: none;
+    z-index: 3;
+    overflow: visible;
+  }
+
+  :host([paused]) .strokes {
+    visibility: hidden;
+  }
+
+  .stroke {
+    fill: none;
+    stroke-width: .72;
+    stroke-linecap: round;
+    stroke-linejoin: round;
+    opacity: .45;
+    animation: stroke-in 280ms ease-out;
+  }
+
+  @keyframes stroke-in {
+    from { opacity: 0; }
+  }
+
   /* Brief flash on invalid selection */
   .cell.invalid {
     background: var(--color-invalid);
@@ -192,12 +297,35 @@ template.innerHTML = `
   .row {
     display: contents;
   }
+
+  /* Canvas renderer: cells are painted, the element only takes input */
+  .canvas-grid {
+    display: block;
+    width: 100%;
+    height: 100%;
+    touch-action: none;
+    cursor: pointer;
+    outline: none;
+  }
 </style>
 
 <div class="empty-msg" role="status">Press <strong>&nbsp;New Game&nbsp;</strong> to start playing!</div>
 `;
 
 const INVALID_FLASH_MS = 500;
+const HINT_FLASH_MS    = 1200;
+
+// Must match the .grid gap — the canvas paints the same spacing, and
+// pointer hit-testing and found-word strokes rely on it
+const CELL_GAP = 2;
+
+// Pointer hits only count near a cell's centre (the .cell-letter box), so
+// diagonal drags don't clip the neighbouring cells
+const HIT_AREA = .65;
+
+// Reveal stagger: words appear one after another, letters in reading order
+const REVEAL_WORD_MS   = 350;
+const REVEAL_CELL_MS   = 40;
 
 // Arrow key → [dr, dc]
 const ARROW_DIRS = {
@@ -215,9 +343,16 @@ class GameBoard extends HTMLElement {
 
     this._grid        = [];
     this._targetWords = [];
+    this._mode        = 'wordsearch';
+    this._placements  = null;
     this._selecting   = false;
     this._selCells    = [];
     this._foundCells  = new Set();
+    this._revealed    = false;   // gave up — board is read-only
+    this._gridEl      = null;    // .grid div or <canvas> — the input surface
+    this._cellEls     = [];      // [row][col] → cell element / CanvasCell
+    this._canvasGrid  = null;
+    this._gridRect    = null;    // grid bounds, measured once per drag
 
     // Keyboard selection state
     this._kbdMode     = false;   // keyboard-selection active?
@@ -228,32 +363,108 @@ class GameBoard extends HTMLElement {
     this._onPointerMove = this._onPointerMove.bind(this);
     this._onPointerUp   = this._onPointerUp.bind(this);
     this._onKeyDown     = this._onKeyDown.bind(this);
+    // The canvas reads theme colours when it paints, so repaint on a switch
+    this._onThemeChange = () => this._canvasGrid?.invalidate();
+    this._colorScheme   = matchMedia('(prefers-color-scheme: dark)');
+  }
+
+  static get observedAttributes() { return ['paused']; }
+
+  attributeChangedCallback(name, oldVal, newVal) {
+    this._canvasGrid?.invalidate();
+
+    // Drop any half-made selection when the game pauses
+    if (name === 'paused' && newVal !== null && oldVal === null) {
+      this._selecting = false;
+      this._kbdMode   = false;
+      this._kbdAnchor = null;
+      this._clearSelectionHighlight();
+      this._selCells  = [];
+    }
   }
 
   connectedCallback() {
     window.addEventListener('pointerup',   this._onPointerUp);
     window.addEventListener('pointermove', this._onPointerMove);
+    document.addEventListener('theme-changed', this._onThemeChange);
+    this._colorScheme.addEventListener('change', this._onThemeChange);
   }
 
   disconnectedCallback() {
     window.removeEventListener('pointerup',   this._onPointerUp);
     window.removeEventListener('pointermove', this._onPointerMove);
+    document.removeEventListener('theme-changed', this._onThemeChange);
+    this._colorScheme.removeEventListener('change', this._onThemeChange);
+    this._destroyCanvas();
   }
 
   // ── Public API ─────────────────────────────────────────────────────────────
 
-  setGrid(grid, targetWords) {
+  setGrid(grid, targetWords, { mode = 'wordsearch', placements = null } = {}) {
     this._grid        = grid;
     this._targetWords = targetWords;
+    this._mode        = mode;
+    this._placements  = placements;
     this._selCells    = [];
     this._selecting   = false;
     this._foundCells  = new Set();
+    this._revealed    = false;
     this._kbdMode     = false;
     this._kbdAnchor   = null;
     this._focusedCell = null;
     this._render();
   }
 
+  markFound(cells, word) {
+    for (const { row, col } of cells) {
+      this._foundCells.add(`${row},${col}`);
+      const el = this._getCellEl(row, col);
+      if (el) this._setFound(el, row, col);
+    }
+    this._drawStroke(word, cells);
+  }
+
+  reveal(placements) {
+    this._revealed  = true;
+    this._selecting = false;
+    this._kbdMode   = false;
+    this._kbdAnchor = null;
+    this._clearSelectionHighlight();
+    this._selCells  = [];
+
+    placements.forEach(({ cells }, w) => {
+      cells.forEach(({ row, col }, i) => {
+        const el = this._getCellEl(row, col);
+        if (!el || this._foundCells.has(`${row},${col}`)) return;
+        el.classList.remove('hint', 'hint-flash');
+        el.style.setProperty('--reveal-delay', `${w * REVEAL_WORD_MS + i * REVEAL_CELL_MS}ms`);
+        el.classList.add('revealed');
+      });
+    });
+  }
+
+  showHint({ kind, cells }) {
+    if (kind === 'word') {
+      for (const { row, col } of cells) {
+        const el = this._getCellEl(row, col);
+        if (!el || this._foundCells.has(`${row},${col}`)) continue;
+        // Restart the animation if the same word is flashed again
+        el.classList.remove('hint-flash');
+        void el.offsetWidth;
+        el.classList.add('hint-flash');
+      }
+      setTimeout(() => {
+        for (const { row, col } of cells) this._getCellEl(row, col)?.classList.remove('hint-flash');
+      }, HINT_FLASH_MS);
+      return;
+    }
+
+    for (const { row, col } of cells) {
+      if (this._foundCells.has(`${row},${col}`)) continue;
+      this._getCellEl(row, col)?.classList.add('hint');
+    }
+  }
+
   showLoading() {
     const overlay = this.shadowRoot.querySelector('.loading-overlay');
     if (overlay) {
@@ -278,10 +489,15 @@ class GameBoard extends HTMLElement {
   reset() {
     this._grid        = [];
     this._targetWords = [];
+    this._placements  = null;
     this._selCells    = [];
     this._foundCells  = new Set();
+    this._revealed    = false;
     this._kbdMode     = false;
     this._kbdAnchor   = null;
+    this._gridEl      = null;
+    this._cellEls     = [];
+    this._destroyCanvas();
     const clone = template.content.cloneNode(true);
     this.shadowRoot.replaceChildren(...clone.childNodes);
   }
@@ -289,56 +505,124 @@ class GameBoard extends HTMLElement {
   // ── Rendering ──────────────────────────────────────────────────────────────
 
   _render() {
-    const size = this._grid.length;
+    const rows = this._grid.length;
+    const cols = this._grid[0]?.length ?? 0;
 
     const wrap = document.createElement('div');
     wrap.className = 'board-wrap';
+    // Keep cells square: size the board to the grid's shape, bounded by
+    // the viewport height so tall (portrait) grids still fit on screen
+    wrap.style.aspectRatio = `${cols} / ${rows}`;
+    wrap.style.maxWidth =
+      `min(90vw, ${cols > rows ? 760 : 560}px, calc((100vh - 140px) * ${cols / rows}))`;
 
     // Loading overlay (hidden by default, revealed by showLoading())
     wrap.appendChild(this._makeOverlay());
 
+    this._destroyCanvas();
+    const gridEl = this.getAttribute('renderer') === 'canvas'
+      ? this._renderCanvas()
+      : this._renderCells(rows, cols);
+
+    // Delegated input: one set of listeners for the whole grid
+    gridEl.addEventListener('pointerdown', this._onPointerDown);
+    gridEl.addEventListener('keydown', this._onKeyDown);
+    this._gridEl = gridEl;
+    wrap.appendChild(gridEl);
+
+    // Found-word strokes, in cell pitches (cell + gap) like _cellAt(). The
+    // SVG overhangs the grid by half a gap on every side, so each pitch
+    // starts half a gap before its cell and cell (r, c) is centred at
+    // (c+.5, r+.5).
+    const strokes = document.createElementNS(SVG_NS, 'svg');
+    strokes.classList.add('strokes');
+    strokes.style.inset = `${-CELL_GAP / 2}px`;
+    strokes.setAttribute('viewBox', `0 0 ${cols} ${rows}`);
+    strokes.setAttribute('preserveAspectRatio', 'none');
+    strokes.setAttribute('aria-hidden', 'true');
+    wrap.appendChild(strokes);
+
+    // Extract just the <style> from the template and pair with the new grid
+    const styleNode = template.content.cloneNode(true).querySelector('style');
+    this.shadowRoot.replaceChildren(styleNode, wrap);
+  }
+
+  /** DOM renderer: one focusable element per cell. */
+  _renderCells(rows, cols) {
     const gridEl = document.createElement('div');
     gridEl.className = 'grid';
     gridEl.setAttribute('role', 'grid');
     gridEl.setAttribute('aria-label', 'Word search grid');
-    gridEl.style.gridTemplateColumns = `repeat(${size}, 1fr)`;
-    gridEl.style.gridTemplateRows    = `repeat(${size}, 1fr)`;
+    gridEl.style.gridTemplateColumns = `repeat(${cols}, 1fr)`;
+    gridEl.style.gridTemplateRows    = `repeat(${rows}, 1fr)`;
 
-    for (let r = 0; r < size; r++) {
+    const first = this._firstPlayableCell();
+    this._cellEls = [];
+
+    for (let r = 0; r < rows; r++) {
       const rowEl = document.createElement('div');
       rowEl.className = 'row';
       rowEl.setAttribute('role', 'row');
+      this._cellEls[r] = [];
 
-      for (let c = 0; c < size; c++) {
+      for (let c = 0; c < cols; c++) {
         const letter = this._grid[r][c];
         const cell = document.createElement('div');
         cell.className = 'cell';
+        cell.dataset.row = r;
+        cell.dataset.col = c;
+
+        if (letter === null) {
+          cell.classList.add('gap');
+          cell.setAttribute('role', 'presentation');
+          rowEl.appendChild(cell);
+          continue;
+        }
+
         const letterSpan = document.createElement('span');
         letterSpan.className = 'cell-letter';
         letterSpan.textContent = letter;
         cell.appendChild(letterSpan);
-        cell.dataset.row = r;
-        cell.dataset.col = c;
         cell.setAttribute('role', 'gridcell');
-        cell.setAttribute('tabindex', r === 0 && c === 0 ? '0' : '-1');
+        cell.setAttribute('tabindex', r === first?.row && c === first?.col ? '0' : '-1');
         cell.setAttribute('aria-label', `${letter}, row ${r + 1}, column ${c + 1}`);
 
-        cell.addEventListener('pointerdown', this._onPointerDown);
-        cell.addEventListener('keydown', this._onKeyDown);
-        cell.addEventListener('focus', () => {
-          this._focusedCell = { row: r, col: c };
-        });
-
         rowEl.appendChild(cell);
+        this._cellEls[r][c] = cell;
       }
       gridEl.appendChild(rowEl);
     }
 
-    wrap.appendChild(gridEl);
+    gridEl.addEventListener('focusin', (e) => {
+      const cell = e.target.closest('.cell');
+      if (cell) this._focusedCell = { row: +cell.dataset.row, col: +cell.dataset.col };
+    });
+    return gridEl;
+  }
 
-    // Extract just the <style> from the template and pair with the new grid
-    const styleNode = template.content.cloneNode(true).querySelector('style');
-    this.shadowRoot.replaceChildren(styleNode, wrap);
+  /** Canvas renderer: the whole grid painted onto one focusable canvas. */
+  _renderCanvas() {
+    this._canvasGrid = new CanvasGrid(this._grid, this, { gap: CELL_GAP });
+    this._cellEls    = this._grid.map((line, r) => line.map((_, c) => this._canvasGrid.cell(r, c)));
+
+    for (const [r, line] of this._grid.entries()) {
+      for (const [c, letter] of line.entries()) {
+        this._cellEls[r][c]?.setAttribute('aria-label', `${letter}, row ${r + 1}, column ${c + 1}`);
+      }
+    }
+
+    // Tabbing onto the canvas focuses the last focused cell, or the first one
+    const canvas = this._canvasGrid.canvas;
+    canvas.addEventListener('focus', () => {
+      const { row, col } = this._focusedCell ?? this._firstPlayableCell() ?? {};
+      if (row !== undefined) this._focusCell(row, col);
+    });
+    return canvas;
+  }
+
+  _destroyCanvas() {
+    this._canvasGrid?.destroy();
+    this._canvasGrid = null;
   }
 
   _makeOverlay() {
@@ -356,16 +640,16 @@ class GameBoard extends HTMLElement {
   // ── Keyboard navigation ────────────────────────────────────────────────────
 
   _onKeyDown(e) {
-    const size = this._grid.length;
-    if (!this._focusedCell) return;
+    if (!this._focusedCell || this.hasAttribute('paused') || this._revealed) return;
     const { row, col } = this._focusedCell;
 
-    // Arrow keys — move focus
+    // Arrow keys — move focus, jumping over masked gaps
     if (ARROW_DIRS[e.key]) {
       e.preventDefault();
       const [dr, dc] = ARROW_DIRS[e.key];
-      const nr = Math.max(0, Math.min(size - 1, row + dr));
-      const nc = Math.max(0, Math.min(size - 1, col + dc));
+      const next = this._nextPlayableCell(row, col, dr, dc);
+      if (!next) return;
+      const { row: nr, col: nc } = next;
 
       // In kbd-selection mode extend the selection trail
       if (this._kbdMode) {
@@ -412,6 +696,11 @@ class GameBoard extends HTMLElement {
   }
 
   _extendKbdSelection({ row, col }) {
+    if (this._mode === 'fillwords') {
+      this._extendKbdPath({ row, col });
+      return;
+    }
+
     // Build straight-line selection from anchor to target
     const anchor = this._kbdAnchor;
     if (!anchor) return;
@@ -440,6 +729,25 @@ class GameBoard extends HTMLElement {
     this._getCellEl(anchor.row, anchor.col)?.classList.add('kbd-anchor');
   }
 
+  /** Fillwords: arrow keys walk a bending path; stepping back undoes a step. */
+  _extendKbdPath({ row, col }) {
+    const last = this._selCells[this._selCells.length - 1];
+    if (!last || (last.row === row && last.col === col)) return;
+
+    const prev = this._selCells[this._selCells.length - 2];
+    if (prev && prev.row === row && prev.col === col) {
+      const removed = this._selCells.pop();
+      this._getCellEl(removed.row, removed.col)?.classList.remove('selecting');
+      return;
+    }
+
+    // Paths never revisit a cell
+    if (this._selCells.some(c => c.row === row && c.col === col)) return;
+
+    this._selCells.push({ row, col });
+    this._getCellEl(row, col)?.classList.add('selecting');
+  }
+
   _focusCell(row, col) {
     // Update tabindex: roving tabindex pattern
     const prev = this._focusedCell;
@@ -449,6 +757,7 @@ class GameBoard extends HTMLElement {
     }
     const el = this._getCellEl(row, col);
     if (el) {
+      this._focusedCell = { row, col };
       el.tabIndex = 0;
       el.focus();
     }
@@ -458,6 +767,7 @@ class GameBoard extends HTMLElement {
 
   _onPointerDown(e) {
     e.preventDefault();
+    if (this.hasAttribute('paused') || this._revealed) return;
     // Cancel any active keyboard selection
     if (this._kbdMode) {
       this._kbdMode = false;
@@ -466,28 +776,25 @@ class GameBoard extends HTMLElement {
       this._selCells = [];
     }
 
-    const el = e.currentTarget;
-    if (!el || !el.classList.contains('cell')) return;
-    const row = parseInt(el.dataset.row, 10);
-    const col = parseInt(el.dataset.col, 10);
+    this._gridRect = this._gridEl?.getBoundingClientRect() ?? null;
+    const hit = this._cellAt(e.clientX, e.clientY);
+    if (!hit) return;
 
     this._selecting = true;
-    this._selCells  = [{ row, col }];
+    this._selCells  = [hit];
     this._clearSelectionHighlight();
-    el.classList.add('selecting');
+    this._getCellEl(hit.row, hit.col)?.classList.add('selecting');
   }
 
   _onPointerMove(e) {
     if (!this._selecting) return;
     e.preventDefault();
 
-    // Use elementFromPoint so both mouse drag and touch slide work correctly
-    const hit = this.shadowRoot.elementFromPoint(e.clientX, e.clientY);
-    const el = hit?.closest('.cell');
-    if (!el) return;
-
-    const row = parseInt(el.dataset.row, 10);
-    const col = parseInt(el.dataset.col, 10);
+    // Hit-test from coordinates: works for mouse drag and touch slide alike,
+    // and costs no DOM lookups however big the grid is
+    const hit = this._cellAt(e.clientX, e.clientY);
+    if (!hit) return;
+    const { row, col } = hit;
 
     const last = this._selCells[this._selCells.length - 1];
     if (last && last.row === row && last.col === col) return;
@@ -503,7 +810,7 @@ class GameBoard extends HTMLElement {
     }
 
     this._selCells.push({ row, col });
-    el.classList.add('selecting');
+    this._getCellEl(row, col)?.classList.add('selecting');
   }
 
   _onPointerUp(e) {
@@ -522,19 +829,13 @@ class GameBoard extends HTMLElement {
   // ── Validation & events ────────────────────────────────────────────────────
 
   _validateSelection() {
-    const result = checkSelection(this._grid, this._selCells, this._targetWords);
+    const result = checkSelection(this._grid, this._selCells, this._targetWords, {
+      mode:       this._mode,
+      placements: this._placements,
+    });
 
     if (result.found) {
-      for (const { row, col } of result.cells) {
-        this._foundCells.add(`${row},${col}`);
-        const el = this._getCellEl(row, col);
-        if (el) {
-          el.classList.remove('selecting', 'kbd-anchor');
-          el.classList.add('found');
-          el.setAttribute('aria-label',
-            `${el.textContent.trim()}, row ${row + 1}, column ${col + 1}, found`);
-        }
-      }
+      this.markFound(result.cells, result.word);
 
       this.dispatchEvent(new CustomEvent('word-found', {
         bubbles: true, composed: true,
@@ -566,6 +867,53 @@ class GameBoard extends HTMLElement {
 
   // ── Helpers ────────────────────────────────────────────────────────────────
 
+  _isPlayable(row, col) {
+    return row >= 0 && row < this._grid.length &&
+           col >= 0 && col < (this._grid[row]?.length ?? 0) &&
+           this._grid[row][col] !== null;
+  }
+
+  /** First non-gap cell in reading order — the grid's initial tab stop. */
+  _firstPlayableCell() {
+    for (let r = 0; r < this._grid.length; r++) {
+      for (let c = 0; c < this._grid[r].length; c++) {
+        if (this._grid[r][c] !== null) return { row: r, col: c };
+      }
+    }
+    return null;
+  }
+
+  /** Nearest playable cell from (row, col) stepping by [dr, dc], or null at the edge. */
+  _nextPlayableCell(row, col, dr, dc) {
+    let r = row + dr;
+    let c = col + dc;
+    while (r >= 0 && r < this._grid.length && c >= 0 && c < this._grid[0].length) {
+      if (this._isPlayable(r, c)) return { row: r, col: c };
+      r += dr;
+      c += dc;
+    }
+    return null;
+  }
+
+  _setFound(el, row, col) {
+    el.classList.remove('selecting', 'kbd-anchor', 'hint');
+    el.classList.add('found');
+    el.setAttribute('aria-label',
+      `${el.textContent.trim()}, row ${row + 1}, column ${col + 1}, found`);
+  }
+
+  /** Capsule stroke through the centres of a found word's cells. */
+  _drawStroke(word, cells) {
+    const svg = this.shadowRoot.querySelector('.strokes');
+    if (!svg || cells.length === 0) return;
+    const line = document.createElementNS(SVG_NS, 'polyline');
+    line.classList.add('stroke');
+    line.dataset.word = word;
+    line.setAttribute('points', cells.map(({ row, col }) => `${col + .5},${row + .5}`).join(' '));
+    line.style.stroke = wordColor(this._targetWords.indexOf(word));
+    svg.appendChild(line);
+  }
+
   _clearSelectionHighlight() {
     for (const { row, col } of this._selCells) {
       const el = this._getCellEl(row, col);
@@ -576,8 +924,27 @@ class GameBoard extends HTMLElement {
     }
   }
 
+  /**
+   * Playable cell under a viewport point, or null (gaps, edges, off-centre).
+   * Uses the bounds measured at pointerdown, so a drag never forces layout.
+   */
+  _cellAt(x, y) {
+    const rect = this._gridRect;
+    if (!rect) return null;
+    const rows = this._grid.length;
+    const cols = this._grid[0]?.length ?? 0;
+
+    // Cell pitch includes the gap; position within the pitch picks the centre
+    const fx  = ((x - rect.left) / (rect.width  + CELL_GAP)) * cols;
+    const fy  = ((y - rect.top)  / (rect.height + CELL_GAP)) * rows;
+    const col = Math.floor(fx);
+    const row = Math.floor(fy);
+    if (Math.abs(fx - col - .5) > HIT_AREA / 2 || Math.abs(fy - row - .5) > HIT_AREA / 2) return null;
+    return this._isPlayable(row, col) ? { row, col } : null;
+  }
+
   _getCellEl(row, col) {
-    return this.shadowRoot.querySelector(`.cell[data-row="${row}"][data-col="${col}"]`);
+    return this._cellEls[row]?.[col] ?? null;
   }
 }
 
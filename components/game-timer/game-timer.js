@@ -0,0 +1,177 @@
+/**
+ * <game-timer> Web Component
+ *
+ * Visible game clock with a pause / resume button. Counts up normally;
+ * with a time limit it counts down and announces when time runs out.
+ * The timer only displays time — the app owns the clock and decides what
+ * pausing means.
+ *
+ * Attributes:
+ *   paused — present while the game is paused (button shows "resume")
+ *   lang   — UI language
+ *
+ * Methods:
+ *   run(source, { limit }) — start ticking; `source()` returns elapsed
+ *                            seconds, `limit` (seconds) turns on countdown
+ *   stop()                 — stop ticking, keep the last value shown
+ *   reset()                — stop and show 0:00
+ *
+ * Events dispatched (bubble + composed):
+ *   pause-toggle — CustomEvent, the pause / resume button was pressed
+ *   time-up      — CustomEvent, a countdown reached zero (fired once per run)
+ */
+
+import { t }           from '../../core/i18n.js';
+import { formatClock } from '../../core/clock.js';
+
+const TICK_MS = 250;
+
+// Countdown turns urgent below this many seconds
+const WARN_SECONDS = 30;
+
+const template = document.createElement('template');
+template.innerHTML = `
+<style>
+  :host {
+    display: inline-flex;
+    align-items: center;
+    gap: .5rem;
+  }
+
+  .time {
+    font-size: 1.1rem;
+    font-weight: 700;
+    font-variant-numeric: tabular-nums;
+    color: var(--color-text);
+    min-width: 3.5ch;
+    text-align: right;
+  }
+
+  .time.countdown { color: var(--color-primary); }
+  .time.warn      { color: var(--color-invalid); }
+
+  .btn-pause {
+    display: inline-flex;
+    align-items: center;
+    justify-content: center;
+    width: 2rem;
+    height: 2rem;
+    border-radius: 50%;
+    border: 1px solid var(--color-border);
+    background: var(--color-surface);
+    color: var(--color-text);
+    font-size: .8rem;
+    cursor: pointer;
+    font-family: inherit;
+  }
+
+  .btn-pause:hover:not(:disabled) { border-color: var(--color-primary); }
+  .btn-pause:disabled { opacity: .4; cursor: default; }
+
+  .btn-pause:focus-visible {
+    outline: 2px solid var(--color-focus);
+    outline-offset: 2px;
+  }
+</style>
+<span class="time" id="time" role="timer" aria-live="off">0:00</span>
+<button class="btn-pause" id="btn-pause" type="button" disabled>⏸</button>
+`;
+
+class GameTimer extends HTMLElement {
+  static get observedAttributes() { return ['paused', 'lang']; }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.appendChild(template.content.cloneNode(true));
+    this._lang     = 'en';
+    this._source   = null;
+    this._limit    = null;
+    this._interval = null;
+    this._timedOut = false;
+    this._tick     = this._tick.bind(this);
+
+    this.shadowRoot.getElementById('btn-pause').addEventListener('click', () => {
+      this.dispatchEvent(new CustomEvent('pause-toggle', {
+        bubbles: true, composed: true,
+      }));
+    });
+  }
+
+  connectedCallback() {
+    this._updateButton();
+  }
+
+  disconnectedCallback() {
+    clearInterval(this._interval);
+    this._interval = null;
+  }
+
+  attributeChangedCallback(name, oldVal, newVal) {
+    if (name === 'lang' && oldVal !== newVal) this._lang = newVal;
+    this._updateButton();
+  }
+
+  // ── Public methods ──────────────────────────────────────────────────────────
+
+  run(source, { limit = null } = {}) {
+    this.stop();
+    this._source   = source;
+    this._limit    = limit;
+    this._timedOut = false;
+    this.shadowRoot.getElementById('time').classList.toggle('countdown', limit !== null);
+    this.shadowRoot.getElementById('btn-pause').disabled = false;
+    this._tick();
+    this._interval = setInterval(this._tick, TICK_MS);
+  }
+
+  stop() {
+    clearInterval(this._interval);
+    this._interval = null;
+    this.shadowRoot.getElementById('btn-pause').disabled = true;
+  }
+
+  reset() {
+    this.stop();
+    this._source = null;
+    this._limit  = null;
+    const time = this.shadowRoot.getElementById('time');
+    time.textContent = formatClock(0);
+    time.classList.remove('countdown', 'warn');
+  }
+
+  // ── Private ─────────────────────────────────────────────────────────────────
+
+  _tick() {
+    if (!this._source) return;
+    const elapsed = this._source();
+    const time    = this.shadowRoot.getElementById('time');
+
+    if (this._limit === null) {
+      time.textContent = formatClock(elapsed);
+      return;
+    }
+
+    const remaining = Math.max(0, this._limit - elapsed);
+    time.textContent = formatClock(Math.ceil(remaining));
+    time.classList.toggle('warn', remaining <= WARN_SECONDS);
+
+    if (remaining === 0 && !this._timedOut) {
+      this._timedOut = true;
+      this.stop();
+      this.dispatchEvent(new CustomEvent('time-up', {
+        bubbles: true, composed: true,
+      }));
+    }
+  }
+
+  _updateButton() {
+    const paused = this.hasAttribute('paused');
+    const btn    = this.shadowRoot.getElementById('btn-pause');
+    btn.textContent = paused ? '▶' : '⏸';
+    btn.setAttribute('aria-label', t(paused ? 'resumeTimer' : 'pause', this._lang));
+    btn.title = btn.getAttribute('aria-label');
+  }
+}
+
+customElements.define('game-timer', GameTimer);
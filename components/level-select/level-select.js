@@ -2,19 +2,34 @@
  * <level-select> Web Component
  *
  * Difficulty picker for FillWrds. Renders Easy / Medium / Hard buttons
- * driven by the LEVELS config from core/levels.js.
+ * driven by the LEVELS config from core/levels.js, plus a word-search /
+ * fillwords mode switch, a custom-directions override and a time-attack
+ * toggle.
  *
  * Attributes:
- *   selected-level  — active level id ('easy'|'medium'|'hard')
+ *   selected-level     — active level id ('easy'|'medium'|'hard')
+ *   selected-mode      — active game mode ('wordsearch'|'fillwords')
+ *   custom-directions  — absent = level default directions; otherwise a
+ *                        comma list of enabled toggles ('diagonal,backwards',
+ *                        or '' for right/down only)
+ *   selected-shape     — grid shape from masks.js SHAPES ('none' = rectangle)
+ *   time-attack        — present when time-attack (countdown) mode is on
  *
  * Events dispatched:
- *   level-changed   — CustomEvent({ detail: { level: string } })
+ *   level-changed      — CustomEvent({ detail: { level: string } })
+ *   mode-changed       — CustomEvent({ detail: { mode: string } })
+ *   directions-changed — CustomEvent({ detail: { custom: { diagonal, backwards } | null } })
+ *   shape-changed      — CustomEvent({ detail: { shape: string } })
+ *   time-attack-changed — CustomEvent({ detail: { enabled: boolean } })
  *
  * Usage:
- *   <level-select selected-level="easy"></level-select>
+ *   <level-select selected-level="easy" selected-mode="wordsearch"></level-select>
  */
 
-import { LEVELS } from '../../core/levels.js';
+import { LEVELS, MODES, dimensionsFor,
+         getLevel, directionFlags } from '../../core/levels.js';
+import { SHAPES } from '../../core/masks.js';
+import { formatClock } from '../../core/clock.js';
 import { t } from '../../core/i18n.js';
 
 // Badge colour per level (matches global CSS vars conceptually,
@@ -117,11 +132,109 @@ template.innerHTML = `
     border: 1px solid var(--btn-border);
     white-space: nowrap;
   }
+
+  /* ── Mode switch ── */
+  .mode-label {
+    margin-top: .9rem;
+  }
+
+  .mode-group {
+    display: flex;
+    background: var(--color-progress-bg);
+    border-radius: 8px;
+    padding: 3px;
+    gap: 2px;
+  }
+
+  .mode-btn {
+    flex: 1;
+    padding: .35rem .5rem;
+    border: none;
+    border-radius: 5px;
+    background: transparent;
+    cursor: pointer;
+    font-family: inherit;
+    font-size: .8rem;
+    font-weight: 500;
+    color: inherit;
+    opacity: .6;
+    transition: background 120ms ease, opacity 120ms ease;
+  }
+
+  .mode-btn:hover {
+    opacity: .85;
+  }
+
+  .mode-btn[aria-pressed="true"] {
+    background: var(--color-surface, #ffffff);
+    opacity: 1;
+    font-weight: 700;
+    box-shadow: 0 1px 3px rgba(0,0,0,.15);
+  }
+
+  /* ── Custom directions ── */
+  .dirs {
+    margin-top: .8rem;
+    font-size: .82rem;
+  }
+
+  .dirs[hidden] {
+    display: none;
+  }
+
+  .toggle {
+    display: flex;
+    align-items: center;
+    gap: .45rem;
+    cursor: pointer;
+    padding: .15rem 0;
+  }
+
+  .toggle input {
+    accent-color: var(--color-primary, #4f46e5);
+    cursor: pointer;
+  }
+
+  .dir-options {
+    display: flex;
+    gap: 1rem;
+    padding-left: 1.4rem;
+  }
+
+  .dir-options[aria-disabled="true"] {
+    opacity: .45;
+    pointer-events: none;
+  }
+
+  .time-attack {
+    margin-top: .6rem;
+    font-size: .82rem;
+  }
+
+  .shape-row {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    gap: .5rem;
+    margin-top: .5rem;
+  }
+
+  .shape-select {
+    flex: 1;
+    max-width: 60%;
+    padding: .25rem .4rem;
+    border: 1px solid var(--color-border, #d1d9e0);
+    border-radius: 6px;
+    background: var(--color-surface, #ffffff);
+    color: inherit;
+    font: inherit;
+    font-size: .8rem;
+  }
 </style>
 
 <p class="section-label">Difficulty</p>
 <div class="btn-group" role="group" aria-label="Difficulty level">
-${LEVELS.map(({ id, label, wordLengthMin, wordLengthMax, wordCount, gridSize }) => {
+${LEVELS.map(({ id, label, wordLengthMin, wordLengthMax, wordCount, rows, cols }) => {
   const c = LEVEL_COLORS[id] ?? LEVEL_COLORS.easy;
   return `
   <button
@@ -133,42 +246,119 @@ ${LEVELS.map(({ id, label, wordLengthMin, wordLengthMax, wordCount, gridSize })
   >
     <span class="level-info">
       <span class="level-name">${label}</span>
-      <span class="level-meta">${wordLengthMin}–${wordLengthMax} letters · ${wordCount} words · ${gridSize}×${gridSize}</span>
+      <span class="level-meta">${wordLengthMin}–${wordLengthMax} letters · ${wordCount} words · ${cols}×${rows}</span>
     </span>
     <span class="level-badge">${label}</span>
   </button>`;
 }).join('')}
 </div>
+
+<p class="section-label mode-label">Mode</p>
+<div class="mode-group" role="group" aria-label="Game mode">
+${MODES.map(mode => `
+  <button class="mode-btn" data-mode="${mode}" aria-pressed="false" type="button">
+    ${mode === 'fillwords' ? 'Fillwords' : 'Word search'}
+  </button>`).join('')}
+</div>
+
+<label class="toggle time-attack">
+  <input type="checkbox" class="time-attack-input" />
+  <span class="time-attack-label">Time attack</span>
+</label>
+
+<div class="dirs">
+  <label class="toggle">
+    <input type="checkbox" class="custom-dirs" />
+    <span class="custom-dirs-label">Custom directions</span>
+  </label>
+  <div class="dir-options" aria-disabled="true">
+    <label class="toggle">
+      <input type="checkbox" data-flag="diagonal" />
+      <span class="flag-label" data-flag="diagonal">Diagonal</span>
+    </label>
+    <label class="toggle">
+      <input type="checkbox" data-flag="backwards" />
+      <span class="flag-label" data-flag="backwards">Backwards</span>
+    </label>
+  </div>
+  <label class="shape-row">
+    <span class="shape-label">Shape</span>
+    <select class="shape-select">
+      ${SHAPES.map(shape => `<option value="${shape}">${shape}</option>`).join('')}
+    </select>
+  </label>
+</div>
 `;
 
 class LevelSelect extends HTMLElement {
   static get observedAttributes() {
-    return ['selected-level', 'lang'];
+    return ['selected-level', 'selected-mode', 'custom-directions', 'selected-shape', 'time-attack', 'lang'];
   }
 
   constructor() {
     super();
     this.attachShadow({ mode: 'open' });
     this.shadowRoot.appendChild(template.content.cloneNode(true));
-    this._onClick = this._onClick.bind(this);
+    this._lang = 'en';
+    this._onClick     = this._onClick.bind(this);
+    this._onModeClick = this._onModeClick.bind(this);
+    this._onDirChange = this._onDirChange.bind(this);
+    this._onShapeChange = this._onShapeChange.bind(this);
+    this._onTimeAttackChange = this._onTimeAttackChange.bind(this);
   }
 
   connectedCallback() {
     this.shadowRoot.querySelectorAll('.level-btn').forEach(btn => {
       btn.addEventListener('click', this._onClick);
     });
+    this.shadowRoot.querySelectorAll('.mode-btn').forEach(btn => {
+      btn.addEventListener('click', this._onModeClick);
+    });
+    this.shadowRoot.querySelectorAll('.dirs input').forEach(input => {
+      input.addEventListener('change', this._onDirChange);
+    });
+    this.shadowRoot.querySelector('.shape-select').addEventListener('change', this._onShapeChange);
+    this.shadowRoot.querySelector('.shape-select').value = this.selectedShape;
+    this.shadowRoot.querySelector('.time-attack-input').addEventListener('change', this._onTimeAttackChange);
     this._updatePressed(this.getAttribute('selected-level') ?? 'easy');
+    this._updateModePressed(this.selectedMode);
+    this._updateDirections();
+    this._updateTimeAttack();
   }
 
   disconnectedCallback() {
     this.shadowRoot.querySelectorAll('.level-btn').forEach(btn => {
       btn.removeEventListener('click', this._onClick);
     });
+    this.shadowRoot.querySelectorAll('.mode-btn').forEach(btn => {
+      btn.removeEventListener('click', this._onModeClick);
+    });
+    this.shadowRoot.querySelectorAll('.dirs input').forEach(input => {
+      input.removeEventListener('change', this._onDirChange);
+    });
+    this.shadowRoot.querySelector('.shape-select').removeEventListener('change', this._onShapeChange);
+    this.shadowRoot.querySelector('.time-attack-input').removeEventListener('change', this._onTimeAttackChange);
   }
 
   attributeChangedCallback(name, oldVal, newVal) {
     if (name === 'selected-level' && oldVal !== newVal) {
       this._updatePressed(newVal);
+      this._updateDirections();
+      this._updateTimeAttack();
+    }
+    if (name === 'selected-mode' && oldVal !== newVal) {
+      this._updateModePressed(newVal);
+      this._updateMeta();
+      this._updateDirections();
+    }
+    if (name === 'custom-directions' && oldVal !== newVal) {
+      this._updateDirections();
+    }
+    if (name === 'selected-shape' && oldVal !== newVal) {
+      this.shadowRoot.querySelector('.shape-select').value = this.selectedShape;
+    }
+    if (name === 'time-attack' && oldVal !== newVal) {
+      this._updateTimeAttack();
     }
     if (name === 'lang' && oldVal !== newVal) {
       this._applyLang(newVal);
@@ -183,6 +373,47 @@ class LevelSelect extends HTMLElement {
     this.setAttribute('selected-level', id);
   }
 
+  get selectedMode() {
+    return this.getAttribute('selected-mode') ?? 'wordsearch';
+  }
+
+  set selectedMode(mode) {
+    this.setAttribute('selected-mode', mode);
+  }
+
+  get selectedShape() {
+    return this.getAttribute('selected-shape') ?? 'none';
+  }
+
+  set selectedShape(shape) {
+    this.setAttribute('selected-shape', shape);
+  }
+
+  get timeAttack() {
+    return this.hasAttribute('time-attack');
+  }
+
+  set timeAttack(enabled) {
+    this.toggleAttribute('time-attack', !!enabled);
+  }
+
+  /** Custom direction toggles, or null when the level default applies. */
+  get customDirections() {
+    const raw = this.getAttribute('custom-directions');
+    if (raw === null) return null;
+    const flags = raw.split(',');
+    return { diagonal: flags.includes('diagonal'), backwards: flags.includes('backwards') };
+  }
+
+  set customDirections(custom) {
+    if (!custom) {
+      this.removeAttribute('custom-directions');
+      return;
+    }
+    const flags = ['diagonal', 'backwards'].filter(f => custom[f]);
+    this.setAttribute('custom-directions', flags.join(','));
+  }
+
   // ── Private ───────────────────────────────────────────────────────────────
 
   _onClick(e) {
@@ -199,22 +430,139 @@ class LevelSelect extends HTMLElement {
     }));
   }
 
+  _onModeClick(e) {
+    const mode = e.currentTarget.dataset.mode;
+    if (mode === this.selectedMode) return;
+
+    this.setAttribute('selected-mode', mode);
+
+    this.dispatchEvent(new CustomEvent('mode-changed', {
+      bubbles:  true,
+      composed: true,
+      detail:   { mode },
+    }));
+  }
+
+  _onDirChange(e) {
+    const root   = this.shadowRoot;
+    const custom = root.querySelector('.custom-dirs').checked;
+
+    // Turning custom on starts from the current level's own rules
+    if (e.currentTarget.classList.contains('custom-dirs') && custom) {
+      this.customDirections = directionFlags(getLevel(this.selectedLevel).directions);
+    } else if (custom) {
+      this.customDirections = {
+        diagonal:  root.querySelector('input[data-flag="diagonal"]').checked,
+        backwards: root.querySelector('input[data-flag="backwards"]').checked,
+      };
+    } else {
+      this.customDirections = null;
+    }
+
+    this.dispatchEvent(new CustomEvent('directions-changed', {
+      bubbles:  true,
+      composed: true,
+      detail:   { custom: this.customDirections },
+    }));
+  }
+
+  _onShapeChange(e) {
+    const shape = e.currentTarget.value;
+    if (shape === this.selectedShape) return;
+
+    this.setAttribute('selected-shape', shape);
+
+    this.dispatchEvent(new CustomEvent('shape-changed', {
+      bubbles:  true,
+      composed: true,
+      detail:   { shape },
+    }));
+  }
+
+  _onTimeAttackChange(e) {
+    const enabled = e.currentTarget.checked;
+    this.timeAttack = enabled;
+
+    this.dispatchEvent(new CustomEvent('time-attack-changed', {
+      bubbles:  true,
+      composed: true,
+      detail:   { enabled },
+    }));
+  }
+
+  /** Time-attack checkbox, labelled with the selected level's time limit. */
+  _updateTimeAttack() {
+    const root  = this.shadowRoot;
+    const limit = getLevel(this.selectedLevel).timeLimit;
+    root.querySelector('.time-attack-input').checked = this.timeAttack;
+    root.querySelector('.time-attack-label').textContent =
+      `${t('timeAttack', this._lang)} · ${formatClock(limit)}`;
+  }
+
+  /** Reflect custom-directions (or the level default) into the checkboxes. */
+  _updateDirections() {
+    const root   = this.shadowRoot;
+    const custom = this.customDirections;
+    const flags  = custom ?? directionFlags(getLevel(this.selectedLevel).directions);
+
+    // Directions and shapes only apply to word search
+    root.querySelector('.dirs').hidden = this.selectedMode === 'fillwords';
+    root.querySelector('.custom-dirs').checked = custom !== null;
+    root.querySelector('.dir-options').setAttribute('aria-disabled', String(custom === null));
+    root.querySelector('input[data-flag="diagonal"]').checked  = flags.diagonal;
+    root.querySelector('input[data-flag="backwards"]').checked = flags.backwards;
+  }
+
   _updatePressed(activeLevel) {
     this.shadowRoot.querySelectorAll('.level-btn').forEach(btn => {
       btn.setAttribute('aria-pressed', String(btn.dataset.level === activeLevel));
     });
   }
 
+  _updateModePressed(activeMode) {
+    this.shadowRoot.querySelectorAll('.mode-btn').forEach(btn => {
+      btn.setAttribute('aria-pressed', String(btn.dataset.mode === activeMode));
+    });
+  }
+
+  /** Level meta line — fillwords has no fixed word count, only a grid size. */
+  _updateMeta() {
+    const lang = this._lang;
+    const mode = this.selectedMode;
+    LEVELS.forEach((level) => {
+      const btn = this.shadowRoot.querySelector(`.level-btn[data-level="${level.id}"]`);
+      if (!btn) return;
+      const { wordLengthMin, wordLengthMax, wordCount } = level;
+      const { rows, cols } = dimensionsFor(level, mode);
+      const count = mode === 'fillwords' ? '' : ` · ${wordCount} ${t('words', lang)}`;
+      btn.querySelector('.level-meta').textContent =
+        `${wordLengthMin}–${wordLengthMax} ${t('letters', lang)}${count} · ${cols}×${rows}`;
+    });
+  }
+
   _applyLang(lang) {
+    this._lang = lang;
     this.shadowRoot.querySelector('.section-label').textContent = t('difficulty', lang);
-    LEVELS.forEach(({ id, wordLengthMin, wordLengthMax, wordCount, gridSize }) => {
+    this.shadowRoot.querySelector('.mode-label').textContent = t('mode', lang);
+    LEVELS.forEach(({ id }) => {
       const btn = this.shadowRoot.querySelector(`.level-btn[data-level="${id}"]`);
       if (!btn) return;
       btn.querySelector('.level-name').textContent = t(id, lang);
       btn.querySelector('.level-badge').textContent = t(id, lang);
-      btn.querySelector('.level-meta').textContent =
-        `${wordLengthMin}–${wordLengthMax} ${t('letters', lang)} · ${wordCount} ${t('words', lang)} · ${gridSize}×${gridSize}`;
     });
+    this.shadowRoot.querySelectorAll('.mode-btn').forEach(btn => {
+      btn.textContent = t(btn.dataset.mode, lang);
+    });
+    this.shadowRoot.querySelector('.custom-dirs-label').textContent = t('customDirections', lang);
+    this.shadowRoot.querySelectorAll('.flag-label').forEach(el => {
+      el.textContent = t(el.dataset.flag, lang);
+    });
+    this.shadowRoot.querySelector('.shape-label').textContent = t('shape', lang);
+    this.shadowRoot.querySelectorAll('.shape-select option').forEach(opt => {
+      opt.textContent = t(`shape-${opt.value}`, lang);
+    });
+    this._updateTimeAttack();
+    this._updateMeta();
   }
 }
 
@@ -0,0 +1,342 @@
+/**
+ * <stats-panel> Web Component
+ *
+ * Local statistics dashboard, opened as a modal: games played, win rate,
+ * best / average time per language and level, a time-per-game chart and
+ * the most-missed words. The chart is plain inline SVG.
+ *
+ * Attributes:
+ *   lang — UI language
+ *
+ * Methods:
+ *   show(results) — summarise word-store getResults() records and open
+ *   hide()        — close the panel
+ */
+
+import { t }                from '../../core/i18n.js';
+import { summarizeResults } from '../../core/stats.js';
+
+// Chart geometry (SVG user units)
+const CHART_W   = 320;
+const CHART_H   = 150;
+const PAD_LEFT  = 40;
+const PAD_RIGHT = 8;
+const PAD_TOP   = 8;
+const PAD_BOT   = 22;
+
+const template = document.createElement('template');
+template.innerHTML = `
+<style>
+  :host {
+    display: none;
+    position: fixed;
+    inset: 0;
+    z-index: 100;
+    align-items: center;
+    justify-content: center;
+    background: rgba(0, 0, 0, .45);
+    backdrop-filter: blur(3px);
+    padding: 1rem;
+  }
+
+  :host(.open) {
+    display: flex;
+  }
+
+  .panel {
+    background: var(--color-surface);
+    border-radius: 20px;
+    padding: 1.5rem 1.75rem;
+    max-width: 460px;
+    width: 100%;
+    max-height: 100%;
+    overflow-y: auto;
+    box-shadow: 0 20px 60px rgba(0,0,0,.25);
+    color: var(--color-text);
+  }
+
+  header {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    margin-bottom: 1rem;
+  }
+
+  h2 {
+    font-size: 1.3rem;
+    font-weight: 800;
+  }
+
+  h3 {
+    font-size: .72rem;
+    font-weight: 700;
+    text-transform: uppercase;
+    letter-spacing: .06em;
+    color: var(--color-text-muted);
+    margin: 1.25rem 0 .5rem;
+  }
+
+  .btn-close {
+    background: none;
+    border: none;
+    font-size: 1.4rem;
+    line-height: 1;
+    color: var(--color-text-muted);
+    cursor: pointer;
+    padding: .25rem;
+  }
+
+  .btn-close:hover { color: var(--color-text); }
+
+  .totals {
+    display: flex;
+    justify-content: space-around;
+    text-align: center;
+  }
+
+  .total-value {
+    display: block;
+    font-size: 1.6rem;
+    font-weight: 800;
+    color: var(--color-primary);
+  }
+
+  .total-label {
+    font-size: .72rem;
+    text-transform: uppercase;
+    letter-spacing: .06em;
+    color: var(--color-text-muted);
+  }
+
+  table {
+    width: 100%;
+    border-collapse: collapse;
+    font-size: .85rem;
+  }
+
+  th, td {
+    padding: .3rem .25rem;
+    text-align: right;
+    border-bottom: 1px solid var(--color-border);
+  }
+
+  th:first-child, td:first-child,
+  th:nth-child(2), td:nth-child(2) { text-align: left; }
+
+  th {
+    font-weight: 600;
+    color: var(--color-text-muted);
+  }
+
+  svg {
+    display: block;
+    width: 100%;
+    height: auto;
+  }
+
+  .axis       { stroke: var(--color-border); stroke-width: 1; }
+  .axis-label { fill: var(--color-text-muted); font-size: 9px; }
+  .line       { fill: none; stroke-width: 1.5; }
+  .level-easy   { stroke: var(--color-easy);   fill: var(--color-easy); }
+  .level-medium { stroke: var(--color-medium); fill: var(--color-medium); }
+  .level-hard   { stroke: var(--color-hard);   fill: var(--color-hard); }
+  .line.level-easy, .line.level-medium, .line.level-hard { fill: none; }
+
+  .missed {
+    display: flex;
+    flex-wrap: wrap;
+    gap: .35rem;
+    list-style: none;
+  }
+
+  .missed li {
+    font-size: .8rem;
+    padding: .15rem .5rem;
+    border-radius: 999px;
+    background: var(--color-cell-bg);
+    border: 1px solid var(--color-border);
+  }
+
+  .missed li span { color: var(--color-text-muted); margin-left: .25rem; }
+
+  .empty {
+    color: var(--color-text-muted);
+    font-size: .9rem;
+  }
+</style>
+<div class="panel" role="dialog" aria-modal="true" aria-labelledby="stats-title">
+  <header>
+    <h2 id="stats-title">Statistics</h2>
+    <button class="btn-close" id="btn-close" type="button" aria-label="Close">×</button>
+  </header>
+  <div id="content"></div>
+</div>
+`;
+
+class StatsPanel extends HTMLElement {
+  static get observedAttributes() { return ['lang']; }
+
+  attributeChangedCallback(name, oldVal, newVal) {
+    if (name === 'lang' && oldVal !== newVal) {
+      this._lang = newVal;
+      if (this.classList.contains('open')) this._render();
+    }
+  }
+
+  connectedCallback() {
+    if (this.shadowRoot) return; // already set up
+    this._lang    = this.getAttribute('lang') ?? 'en';
+    this._summary = null;
+
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.appendChild(template.content.cloneNode(true));
+
+    this.shadowRoot.getElementById('btn-close')
+      .addEventListener('click', () => this.hide());
+
+    // Close on backdrop click
+    this.addEventListener('click', (e) => {
+      if (e.target === this) this.hide();
+    });
+  }
+
+  // ── Public methods ──────────────────────────────────────────────────────────
+
+  show(results = []) {
+    if (!this.shadowRoot) this.connectedCallback();
+    this._summary = summarizeResults(results);
+    this._render();
+    this.classList.add('open');
+    this.shadowRoot.getElementById('btn-close').focus();
+  }
+
+  hide() {
+    this.classList.remove('open');
+  }
+
+  // ── Rendering ───────────────────────────────────────────────────────────────
+
+  _render() {
+    const lang    = this._lang ?? 'en';
+    const summary = this._summary;
+    this.shadowRoot.getElementById('stats-title').textContent = t('statistics', lang);
+    this.shadowRoot.getElementById('btn-close').setAttribute('aria-label', t('close', lang));
+
+    const content = this.shadowRoot.getElementById('content');
+    if (!summary || summary.played === 0) {
+      content.innerHTML = `<p class="empty">${t('noStats', lang)}</p>`;
+      return;
+    }
+
+    content.innerHTML = `
+      <div class="totals">
+        <div><span class="total-value">${summary.played}</span>
+             <span class="total-label">${t('gamesPlayed', lang)}</span></div>
+        <div><span class="total-value">${summary.won}</span>
+             <span class="total-label">${t('gamesWon', lang)}</span></div>
+        <div><span class="total-value">${Math.round(summary.winRate * 100)}%</span>
+             <span class="total-label">${t('winRate', lang)}</span></div>
+      </div>
+
+      <h3>${t('byLevel', lang)}</h3>
+      ${this._tableHtml(summary.groups)}
+
+      <h3>${t('timeChart', lang)}</h3>
+      ${summary.timeline.length > 0
+        ? this._chartSvg(summary.timeline)
+        : `<p class="empty">${t('noWins', lang)}</p>`}
+
+      <h3>${t('mostMissed', lang)}</h3>
+      ${summary.missed.length > 0
+        ? `<ul class="missed">${summary.missed
+            .map(({ word, count }) => `<li>${escapeHtml(word)}<span>×${count}</span></li>`)
+            .join('')}</ul>`
+        : `<p class="empty">${t('noMissed', lang)}</p>`}
+    `;
+  }
+
+  _tableHtml(groups) {
+    const lang = this._lang ?? 'en';
+    const rows = groups.map(g => `
+      <tr>
+        <td>${escapeHtml(String(g.lang).toUpperCase())}</td>
+        <td>${escapeHtml(t(g.level, lang))}</td>
+        <td>${g.won}/${g.played}</td>
+        <td>${g.bestTime === null ? '—' : formatTime(g.bestTime)}</td>
+        <td>${g.avgTime === null ? '—' : formatTime(g.avgTime)}</td>
+        <td>${g.bestScore ?? '—'}</td>
+      </tr>`).join('');
+
+    return `
+      <table>
+        <thead><tr>
+          <th>${t('language', lang)}</th>
+          <th>${t('difficulty', lang)}</th>
+          <th>${t('gamesWon', lang)}</th>
+          <th>${t('bestTime', lang)}</th>
+          <th>${t('avgTime', lang)}</th>
+          <th>${t('bestScore', lang)}</th>
+        </tr></thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+  }
+
+  /**
+   * Time-per-game line chart: x = date played, y = seconds taken, one line
+   * per level. A single game is drawn in the middle of the x axis.
+   */
+  _chartSvg(timeline) {
+    const lang    = this._lang ?? 'en';
+    const first   = timeline[0].date;
+    const last    = timeline[timeline.length - 1].date;
+    const maxTime = Math.max(...timeline.map(p => p.elapsed), 1);
+
+    const plotW = CHART_W - PAD_LEFT - PAD_RIGHT;
+    const plotH = CHART_H - PAD_TOP - PAD_BOT;
+    const x = date => PAD_LEFT + (last > first ? ((date - first) / (last - first)) * plotW : plotW / 2);
+    const y = secs => PAD_TOP + plotH - (secs / maxTime) * plotH;
+
+    const levels = [...new Set(timeline.map(p => p.level))];
+    const series = levels.map(level => {
+      const points = timeline.filter(p => p.level === level)
+        .map(p => `${x(p.date).toFixed(1)},${y(p.elapsed).toFixed(1)}`);
+      return `
+        <polyline class="line level-${level}" points="${points.join(' ')}" />
+        ${points.map(pt => {
+          const [cx, cy] = pt.split(',');
+          return `<circle class="level-${level}" cx="${cx}" cy="${cy}" r="2.5" />`;
+        }).join('')}`;
+    }).join('');
+
+    const formatDate = date => new Date(date).toLocaleDateString(lang, { month: 'short', day: 'numeric' });
+    const bottom     = PAD_TOP + plotH;
+
+    return `
+      <svg viewBox="0 0 ${CHART_W} ${CHART_H}" role="img" aria-label="${t('timeChart', lang)}">
+        <line class="axis" x1="${PAD_LEFT}" y1="${PAD_TOP}" x2="${PAD_LEFT}" y2="${bottom}" />
+        <line class="axis" x1="${PAD_LEFT}" y1="${bottom}" x2="${CHART_W - PAD_RIGHT}" y2="${bottom}" />
+        <text class="axis-label" x="${PAD_LEFT - 4}" y="${PAD_TOP + 8}" text-anchor="end">${formatTime(maxTime)}</text>
+        <text class="axis-label" x="${PAD_LEFT - 4}" y="${bottom}" text-anchor="end">0</text>
+        <text class="axis-label" x="${PAD_LEFT}" y="${CHART_H - 6}">${formatDate(first)}</text>
+        <text class="axis-label" x="${CHART_W - PAD_RIGHT}" y="${CHART_H - 6}" text-anchor="end">${formatDate(last)}</text>
+        ${series}
+      </svg>`;
+  }
+}
+
+function formatTime(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  const m = Math.floor(seconds / 60);
+  const s = seconds % 60;
+  return `${m}m ${s}s`;
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+customElements.define('stats-panel', StatsPanel);
@@ -1,15 +1,27 @@
 /**
  * <win-modal> Web Component
  *
- * Shown when the player finds all words. Also handles error messages.
+ * Shown when the player finds all words. Also handles error messages, the
+ * time-attack loss screen and the "resume your last game?" prompt on startup.
  *
  * Methods:
- *   show({ words, elapsed })  — display win screen
+ *   show({ words, elapsed, hints, score, daily }) — display win screen
+ *                             (elapsed already includes any hint penalty;
+ *                             `score` is a scoring.js breakdown; `daily` is
+ *                             { number, streak, scored } for the daily puzzle)
+ *   showGlosses(definitions) — add the meanings of the won puzzle's words
+ *                             (Map word → definitions.js Definition) to the
+ *                             win screen; ignored once it shows something else
+ *   showTimeUp({ found, total, elapsed, hints, missed }) — time-attack loss
+ *                             screen listing the words left unfound
+ *   showResume({ found, total, elapsed, hints }) — offer to resume a saved game
  *   showError(message)        — display error message
  *   hide()                    — close modal
  *
  * Events dispatched:
- *   play-again  — CustomEvent (bubbles + composed) when player wants a new game
+ *   play-again   — CustomEvent (bubbles + composed) when player wants a new game
+ *   resume-game  — CustomEvent (bubbles + composed) saved game accepted
+ *   discard-game — CustomEvent (bubbles + composed) saved game declined
  */
 
 import { t } from '../../core/i18n.js';
@@ -68,6 +80,103 @@ template.innerHTML = `
     margin-bottom: 1.25rem;
   }
 
+  .score {
+    margin: -.5rem 0 1.25rem;
+  }
+
+  .score[hidden] { display: none; }
+
+  .score-total {
+    font-size: 2rem;
+    font-weight: 800;
+    color: var(--color-primary);
+  }
+
+  .score-total small {
+    font-size: .72rem;
+    font-weight: 600;
+    text-transform: uppercase;
+    letter-spacing: .06em;
+    color: var(--color-text-muted);
+    margin-left: .35rem;
+  }
+
+  .score-breakdown {
+    display: grid;
+    grid-template-columns: 1fr auto;
+    gap: .2rem 1rem;
+    margin: .5rem auto 0;
+    max-width: 16rem;
+    font-size: .85rem;
+    text-align: left;
+  }
+
+  .score-breakdown dt { color: var(--color-text-muted); }
+  .score-breakdown dd { margin: 0; font-weight: 600; text-align: right; }
+  .score-breakdown dd.minus { color: var(--color-invalid); }
+
+  .missed-words {
+    display: flex;
+    flex-wrap: wrap;
+    justify-content: center;
+    gap: .35rem;
+    list-style: none;
+    margin: -.5rem 0 1.25rem;
+  }
+
+  .missed-words[hidden] { display: none; }
+
+  .missed-words li {
+    font-size: .8rem;
+    font-weight: 600;
+    text-transform: uppercase;
+    padding: .15rem .55rem;
+    border-radius: 999px;
+    background: var(--color-cell-bg);
+    border: 1px solid var(--color-invalid);
+    color: var(--color-text);
+  }
+
+  .glosses {
+    display: grid;
+    grid-template-columns: auto 1fr;
+    gap: .3rem .75rem;
+    max-height: 11rem;
+    overflow-y: auto;
+    margin: -.5rem 0 1.25rem;
+    padding: .6rem .75rem;
+    border-radius: 10px;
+    background: var(--color-cell-bg);
+    font-size: .8rem;
+    line-height: 1.35;
+    text-align: left;
+  }
+
+  .glosses[hidden] { display: none; }
+
+  .glosses dt {
+    font-weight: 700;
+    text-transform: uppercase;
+    letter-spacing: .03em;
+    color: var(--color-text);
+  }
+
+  .glosses dd { margin: 0; color: var(--color-text); }
+
+  .glosses .translation {
+    display: block;
+    color: var(--color-text-muted);
+  }
+
+  .daily-info {
+    font-size: .9rem;
+    font-weight: 600;
+    color: var(--color-primary);
+    margin: -.5rem 0 1.25rem;
+  }
+
+  .daily-info[hidden] { display: none; }
+
   .stats {
     display: flex;
     justify-content: center;
@@ -151,6 +260,14 @@ template.innerHTML = `
   }
 
   .btn-dismiss:hover { background: var(--color-btn-dismiss-hover); }
+
+  .resume-actions {
+    display: flex;
+    flex-direction: column;
+    gap: .5rem;
+  }
+
+  .resume-actions[hidden] { display: none; }
 </style>
 <div class="modal" role="dialog" aria-modal="true" aria-labelledby="modal-title">
   <div class="icon" id="modal-icon">🎉</div>
@@ -166,11 +283,31 @@ template.innerHTML = `
       <span class="stat-value" id="stat-time">0s</span>
       <span class="stat-label">Time</span>
     </div>
+    <div class="stat">
+      <span class="stat-value" id="stat-hints">0</span>
+      <span class="stat-label">Hints</span>
+    </div>
   </div>
 
+  <div class="score" id="score" hidden>
+    <div class="score-total" id="score-total"></div>
+    <dl class="score-breakdown" id="score-breakdown"></dl>
+  </div>
+
+  <ul class="missed-words" id="missed-words" hidden></ul>
+
+  <dl class="glosses" id="glosses" hidden></dl>
+
+  <p class="daily-info" id="daily-info" hidden></p>
+
   <button class="btn-play-again" id="btn-play-again" type="button">
     Play Again
   </button>
+
+  <div class="resume-actions" id="resume-actions" hidden>
+    <button class="btn-play-again" id="btn-resume" type="button">Resume</button>
+    <button class="btn-dismiss" id="btn-discard" type="button">New Game</button>
+  </div>
 </div>
 `;
 
@@ -198,6 +335,22 @@ class WinModal extends HTMLElement {
         }));
       });
 
+    this.shadowRoot.getElementById('btn-resume')
+      .addEventListener('click', () => {
+        this.hide();
+        this.dispatchEvent(new CustomEvent('resume-game', {
+          bubbles: true, composed: true,
+        }));
+      });
+
+    this.shadowRoot.getElementById('btn-discard')
+      .addEventListener('click', () => {
+        this.hide();
+        this.dispatchEvent(new CustomEvent('discard-game', {
+          bubbles: true, composed: true,
+        }));
+      });
+
     // Close on backdrop click
     this.addEventListener('click', (e) => {
       if (e.target === this) this.hide();
@@ -206,7 +359,7 @@ class WinModal extends HTMLElement {
 
   // ── Public methods ──────────────────────────────────────────────────────────
 
-  show({ words = [], elapsed = 0 } = {}) {
+  show({ words = [], elapsed = 0, hints = 0, score = null, daily = null } = {}) {
     this._ensureSetup();
     const modal = this.shadowRoot.querySelector('.modal');
     modal.classList.remove('error');
@@ -217,11 +370,19 @@ class WinModal extends HTMLElement {
     this.shadowRoot.getElementById('modal-subtitle').textContent = t('winSubtitle', lang);
     this.shadowRoot.getElementById('stat-words').textContent     = words.length;
     this.shadowRoot.getElementById('stat-time').textContent      = formatTime(elapsed);
+    this.shadowRoot.getElementById('stat-hints').textContent     = hints;
     this.shadowRoot.getElementById('modal-stats').hidden         = false;
     this.shadowRoot.querySelector('.stat:nth-child(1) .stat-label').textContent = t('wordsLabel', lang);
     this.shadowRoot.querySelector('.stat:nth-child(2) .stat-label').textContent = t('timeLabel', lang);
+    this.shadowRoot.querySelector('.stat:nth-child(3) .stat-label').textContent = t('hintsLabel', lang);
     this.shadowRoot.getElementById('btn-play-again').textContent = t('playAgain', lang);
     this.shadowRoot.getElementById('btn-play-again').hidden      = false;
+    this.shadowRoot.getElementById('resume-actions').hidden      = true;
+    this._showScore(score);
+    this._showDaily(daily);
+    this._showMissed([]);
+    this._showGlosses(null);
+    this._summaryWords = words.map(w => w.toLowerCase());
 
     // Replace dismiss button if present from a previous error
     const dismiss = this.shadowRoot.getElementById('btn-dismiss');
@@ -231,6 +392,69 @@ class WinModal extends HTMLElement {
     this.shadowRoot.getElementById('btn-play-again').focus();
   }
 
+  showTimeUp({ found = 0, total = 0, elapsed = 0, hints = 0, missed = [] } = {}) {
+    this._ensureSetup();
+    const modal = this.shadowRoot.querySelector('.modal');
+    modal.classList.remove('error');
+
+    const lang = this._lang ?? 'en';
+    this.shadowRoot.getElementById('modal-icon').textContent     = '⏰';
+    this.shadowRoot.getElementById('modal-title').textContent    = t('timeUpTitle', lang);
+    this.shadowRoot.getElementById('modal-subtitle').textContent = t('timeUpSubtitle', lang);
+    this.shadowRoot.getElementById('stat-words').textContent     = `${found} / ${total}`;
+    this.shadowRoot.getElementById('stat-time').textContent      = formatTime(elapsed);
+    this.shadowRoot.getElementById('stat-hints').textContent     = hints;
+    this.shadowRoot.getElementById('modal-stats').hidden         = false;
+    this.shadowRoot.querySelector('.stat:nth-child(1) .stat-label').textContent = t('wordsLabel', lang);
+    this.shadowRoot.querySelector('.stat:nth-child(2) .stat-label').textContent = t('timeLabel', lang);
+    this.shadowRoot.querySelector('.stat:nth-child(3) .stat-label').textContent = t('hintsLabel', lang);
+    this.shadowRoot.getElementById('btn-play-again').textContent = t('playAgain', lang);
+    this.shadowRoot.getElementById('btn-play-again').hidden      = false;
+    this.shadowRoot.getElementById('resume-actions').hidden      = true;
+    this._showScore(null);
+    this._showDaily(null);
+    this._showMissed(missed);
+    this._showGlosses(null);
+
+    const dismiss = this.shadowRoot.getElementById('btn-dismiss');
+    if (dismiss) dismiss.remove();
+
+    this.classList.add('open');
+    this.shadowRoot.getElementById('btn-play-again').focus();
+  }
+
+  showResume({ found = 0, total = 0, elapsed = 0, hints = 0 } = {}) {
+    this._ensureSetup();
+    const modal = this.shadowRoot.querySelector('.modal');
+    modal.classList.remove('error');
+
+    const lang = this._lang ?? 'en';
+    this.shadowRoot.getElementById('modal-icon').textContent     = '🧩';
+    this.shadowRoot.getElementById('modal-title').textContent    = t('resumeTitle', lang);
+    this.shadowRoot.getElementById('modal-subtitle').textContent = t('resumeSubtitle', lang);
+    this.shadowRoot.getElementById('stat-words').textContent     = `${found} / ${total}`;
+    this.shadowRoot.getElementById('stat-time').textContent      = formatTime(elapsed);
+    this.shadowRoot.getElementById('stat-hints').textContent     = hints;
+    this.shadowRoot.getElementById('modal-stats').hidden         = false;
+    this.shadowRoot.querySelector('.stat:nth-child(1) .stat-label').textContent = t('wordsLabel', lang);
+    this.shadowRoot.querySelector('.stat:nth-child(2) .stat-label').textContent = t('timeLabel', lang);
+    this.shadowRoot.querySelector('.stat:nth-child(3) .stat-label').textContent = t('hintsLabel', lang);
+    this.shadowRoot.getElementById('btn-play-again').hidden      = true;
+    this.shadowRoot.getElementById('resume-actions').hidden      = false;
+    this.shadowRoot.getElementById('btn-resume').textContent     = t('resume', lang);
+    this.shadowRoot.getElementById('btn-discard').textContent    = t('newGame', lang);
+    this._showScore(null);
+    this._showDaily(null);
+    this._showMissed([]);
+    this._showGlosses(null);
+
+    const dismiss = this.shadowRoot.getElementById('btn-dismiss');
+    if (dismiss) dismiss.remove();
+
+    this.classList.add('open');
+    this.shadowRoot.getElementById('btn-resume').focus();
+  }
+
   showError(message) {
     this._ensureSetup();
     const modal = this.shadowRoot.querySelector('.modal');
@@ -242,6 +466,11 @@ class WinModal extends HTMLElement {
     this.shadowRoot.getElementById('modal-subtitle').textContent = message;
     this.shadowRoot.getElementById('modal-stats').hidden         = true;
     this.shadowRoot.getElementById('btn-play-again').hidden      = true;
+    this.shadowRoot.getElementById('resume-actions').hidden      = true;
+    this._showScore(null);
+    this._showDaily(null);
+    this._showMissed([]);
+    this._showGlosses(null);
 
     // Add a dismiss button if not already there
     if (!this.shadowRoot.getElementById('btn-dismiss')) {
@@ -257,6 +486,11 @@ class WinModal extends HTMLElement {
     this.classList.add('open');
   }
 
+  showGlosses(definitions) {
+    if (!this._summaryWords || !this.classList.contains('open')) return;
+    this._showGlosses(definitions);
+  }
+
   hide() {
     this.classList.remove('open');
   }
@@ -266,6 +500,79 @@ class WinModal extends HTMLElement {
   _ensureSetup() {
     if (!this.shadowRoot) this.connectedCallback();
   }
+
+  /** The words the player didn't find, as chips. */
+  _showMissed(words) {
+    const list = this.shadowRoot.getElementById('missed-words');
+    list.hidden = words.length === 0;
+    list.replaceChildren(...words.map(word => {
+      const li = document.createElement('li');
+      li.textContent = word;
+      return li;
+    }));
+  }
+
+  /**
+   * Word → meaning (and English translation) lines, in puzzle order.
+   * null clears them and ends the win summary, so late glosses are dropped.
+   */
+  _showGlosses(definitions) {
+    const list  = this.shadowRoot.getElementById('glosses');
+    const words = definitions ? this._summaryWords.filter(w => definitions.has(w)) : [];
+    if (!definitions) this._summaryWords = null;
+    list.hidden = words.length === 0;
+    list.setAttribute('aria-label', t('meanings', this._lang ?? 'en'));
+    list.replaceChildren(...words.flatMap(word => {
+      const { gloss, translation } = definitions.get(word);
+      const dt = document.createElement('dt');
+      const dd = document.createElement('dd');
+      dt.textContent = word;
+      dd.textContent = gloss ?? '';
+      if (translation) {
+        const span = document.createElement('span');
+        span.className   = 'translation';
+        span.textContent = translation;
+        dd.appendChild(span);
+      }
+      return [dt, dd];
+    }));
+  }
+
+  /** Total score plus one line per non-zero bonus / deduction. */
+  _showScore(score) {
+    const box = this.shadowRoot.getElementById('score');
+    box.hidden = !score;
+    if (!score) return;
+
+    const lang = this._lang ?? 'en';
+    this.shadowRoot.getElementById('score-total').innerHTML =
+      `${score.total}<small>${t('scoreLabel', lang)}</small>`;
+
+    const rows = [
+      ['scoreWords',     score.bonuses.base,         false],
+      ['scoreDirection', score.bonuses.direction,    false],
+      ['scoreSpeed',     score.bonuses.speed,        false],
+      ['scoreCombo',     score.bonuses.combo,        false],
+      ['scoreMistakes',  score.deductions.mistakes,  true],
+      ['hintsLabel',     score.deductions.hints,     true],
+    ];
+    this.shadowRoot.getElementById('score-breakdown').innerHTML = rows
+      .filter(([key, points]) => points > 0 || key === 'scoreWords')
+      .map(([key, points, minus]) =>
+        `<dt>${t(key, lang)}</dt><dd class="${minus ? 'minus' : ''}">${minus ? '−' : '+'}${points}</dd>`)
+      .join('');
+  }
+
+  /** "Daily #42 · Streak 3" under the stats, or hidden for other games. */
+  _showDaily(daily) {
+    const info = this.shadowRoot.getElementById('daily-info');
+    info.hidden = !daily;
+    if (!daily) return;
+
+    const lang = this._lang ?? 'en';
+    const line = `${t('dailyLabel', lang)} #${daily.number} · ${t('streak', lang)} 🔥 ${daily.streak}`;
+    info.textContent = daily.scored ? line : `${line} — ${t('dailyPractice', lang)}`;
+  }
 }
 
 function formatTime(seconds) {
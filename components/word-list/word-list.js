@@ -2,7 +2,13 @@
  * <word-list> Web Component
  *
  * Displays the list of target words for the current puzzle.
- * Found words are highlighted and struck through.
+ * Found words are highlighted and struck through, with a swatch in the
+ * colour the board draws them in (palette.js). Each word still to find
+ * has a hint button; the number of hints used shows as dots beside it.
+ * Words revealed after giving up are shown in their own colour, not as found.
+ * Found and revealed words can be tapped for their meaning, which the app
+ * looks up and hands back through showDefinition(); it opens in a popover
+ * under the word.
  *
  * Properties:
  *   words  {string[]}  — full list of words to find
@@ -11,6 +17,17 @@
  * Methods:
  *   markFound(word)    — mark a single word as found, re-renders that item
  *   reset(words)       — replace word list and clear found state
+ *   markHinted(word, given) — record how many hints a word has had
+ *   markRevealed(word) — show an unfound word as revealed (gave up)
+ *   showDefinition(word, definition, { offline }) — fill the open popover
+ *                        for `word`: undefined = still loading, null = none
+ *                        found, else a definitions.js Definition
+ *   hideDefinition()   — close the popover
+ *
+ * Events dispatched (bubble + composed):
+ *   hint-requested       — CustomEvent({ detail: { word } })
+ *   definition-requested — CustomEvent({ detail: { word } }), a found or
+ *                          revealed word was tapped
  *
  * Usage:
  *   <word-list></word-list>
@@ -18,7 +35,9 @@
  *   el.markFound('cat');
  */
 
-import { t } from '../../core/i18n.js';
+import { t }          from '../../core/i18n.js';
+import { HINT_STEPS } from '../../core/hints.js';
+import { wordColor }  from '../../core/palette.js';
 
 const template = document.createElement('template');
 template.innerHTML = `
@@ -101,6 +120,45 @@ template.innerHTML = `
     transition: color 200ms ease, text-decoration 200ms ease;
   }
 
+  .hint-btn {
+    flex-shrink: 0;
+    margin-left: auto;
+    display: flex;
+    align-items: center;
+    gap: .15rem;
+    padding: .05rem .3rem;
+    border: 1px solid transparent;
+    border-radius: 5px;
+    background: none;
+    color: var(--color-text-muted);
+    font: inherit;
+    font-size: .75rem;
+    cursor: pointer;
+    opacity: .55;
+    transition: opacity 120ms ease, border-color 120ms ease;
+  }
+
+  .word-item:hover .hint-btn,
+  .hint-btn:focus-visible {
+    opacity: 1;
+    border-color: var(--color-border);
+  }
+
+  .hint-btn:disabled {
+    cursor: default;
+    opacity: .3;
+  }
+
+  .hint-dots {
+    color: var(--color-hint-border);
+    letter-spacing: -.1em;
+  }
+
+  .word-item.found .hint-btn,
+  .word-item.revealed .hint-btn {
+    display: none;
+  }
+
   /* Found state */
   .word-item.found {
     background: var(--color-found-bg);
@@ -109,15 +167,91 @@ template.innerHTML = `
   .word-item.found .text {
     color: var(--color-found-text);
     text-decoration: line-through;
-    text-decoration-color: var(--color-found-border);
+    text-decoration-color: var(--word-color, var(--color-found-border));
   }
 
+  /* The check doubles as a swatch of the word's board colour */
   .word-item.found .check {
-    background: var(--color-found-border);
-    border-color: var(--color-found-border);
+    background: var(--word-color, var(--color-found-border));
+    border-color: var(--word-color, var(--color-found-border));
     color: #fff;
   }
 
+  /* Revealed state — shown, but not counted as found */
+  .word-item.revealed .text {
+    color: var(--color-word-revealed);
+  }
+
+  .word-item.revealed .check {
+    border-color: var(--color-word-revealed);
+    color: var(--color-word-revealed);
+  }
+
+  /* Found and revealed words open their definition */
+  .word-item[role="button"] {
+    cursor: pointer;
+  }
+
+  .word-item[role="button"]:focus-visible {
+    outline: 2px solid var(--color-focus);
+    outline-offset: 1px;
+  }
+
+  .word-item[aria-expanded="true"] {
+    box-shadow: inset 0 0 0 1.5px var(--word-color, var(--color-border));
+  }
+
+  /* ── Definition popover ── */
+  .list-wrap {
+    position: relative;
+  }
+
+  .definition {
+    position: absolute;
+    left: 0;
+    right: 0;
+    z-index: 5;
+    padding: .55rem .7rem;
+    border: 1px solid var(--color-border);
+    border-radius: 8px;
+    background: var(--color-surface);
+    box-shadow: 0 6px 20px rgba(0, 0, 0, .15);
+    font-size: .82rem;
+    line-height: 1.4;
+    animation: definition-in 120ms ease both;
+  }
+
+  .definition[hidden] {
+    display: none;
+  }
+
+  @keyframes definition-in {
+    from { opacity: 0; transform: translateY(-3px); }
+    to   { opacity: 1; transform: translateY(0); }
+  }
+
+  .definition-word {
+    font-weight: 700;
+    text-transform: uppercase;
+    letter-spacing: .04em;
+    color: var(--word-color, var(--color-text));
+  }
+
+  .definition-gloss {
+    margin: .2rem 0 0;
+  }
+
+  .definition-translation {
+    margin: .2rem 0 0;
+    color: var(--color-text-muted);
+  }
+
+  .definition-note {
+    margin: .2rem 0 0;
+    color: var(--color-text-muted);
+    font-style: italic;
+  }
+
   /* Empty state */
   .empty {
     font-size: .85rem;
@@ -132,9 +266,21 @@ template.innerHTML = `
   <span class="progress-text">0 / 0 found</span>
   <div class="progress-bar"><div class="progress-fill"></div></div>
 </div>
-<ul class="word-grid" aria-label="Words to find"></ul>
+<div class="list-wrap">
+  <ul class="word-grid" aria-label="Words to find"></ul>
+  <div class="definition" id="definition" role="dialog" hidden></div>
+</div>
 `;
 
+/** <span> holding plain text, optionally hidden from screen readers. */
+function span(className, text, ariaHidden = false) {
+  const el = document.createElement('span');
+  if (className)  el.className = className;
+  if (ariaHidden) el.setAttribute('aria-hidden', 'true');
+  el.textContent = text;
+  return el;
+}
+
 class WordList extends HTMLElement {
   static get observedAttributes() { return ['lang']; }
 
@@ -144,8 +290,47 @@ class WordList extends HTMLElement {
     this.shadowRoot.appendChild(template.content.cloneNode(true));
 
     this._words = [];
-    this._found = new Set();
-    this._lang  = 'en';
+    this._found    = new Set();
+    this._revealed = new Set();
+    this._hints    = new Map(); // word → hints given
+    this._lang     = 'en';
+    this._defined  = null;      // word whose definition popover is open
+    this._onOutsideClick = this._onOutsideClick.bind(this);
+
+    const grid = this.shadowRoot.querySelector('.word-grid');
+    grid.addEventListener('click', (e) => {
+      const btn = e.target.closest('.hint-btn');
+      if (btn) {
+        if (btn.disabled) return;
+        this.dispatchEvent(new CustomEvent('hint-requested', {
+          bubbles:  true,
+          composed: true,
+          detail:   { word: btn.closest('.word-item').dataset.word },
+        }));
+        return;
+      }
+      const item = e.target.closest('.word-item[role="button"]');
+      if (item) this._requestDefinition(item.dataset.word);
+    });
+
+    grid.addEventListener('keydown', (e) => {
+      const item = e.target.closest('.word-item[role="button"]');
+      if (!item || (e.key !== 'Enter' && e.key !== ' ')) return;
+      e.preventDefault();
+      this._requestDefinition(item.dataset.word);
+    });
+
+    this.shadowRoot.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this._defined) {
+        const item = this._item(this._defined);
+        this.hideDefinition();
+        item?.focus();
+      }
+    });
+  }
+
+  disconnectedCallback() {
+    document.removeEventListener('click', this._onOutsideClick);
   }
 
   attributeChangedCallback(name, oldVal, newVal) {
@@ -162,6 +347,8 @@ class WordList extends HTMLElement {
   set words(list) {
     this._words = Array.isArray(list) ? list.map(w => w.toLowerCase()) : [];
     this._found.clear();
+    this._revealed.clear();
+    this._hints.clear();
     this._render();
   }
 
@@ -188,6 +375,83 @@ class WordList extends HTMLElement {
     this._updateProgress();
   }
 
+  /**
+   * showDefinition(word, definition, { offline })
+   * Fill the popover, if it is (still) open for `word`.
+   * `definition` undefined shows a loading line, null a "nothing found"
+   * note — worded for being offline when `offline` is set.
+   */
+  showDefinition(word, definition, { offline = false } = {}) {
+    const lower = word.toLowerCase();
+    const item  = this._item(lower);
+    if (!item || this._defined !== lower) return;
+
+    const lang = this._lang;
+    const box  = this.shadowRoot.getElementById('definition');
+    const head = document.createElement('div');
+    head.className   = 'definition-word';
+    head.textContent = lower;
+
+    const lines = [];
+    const line  = (className, text) => {
+      const p = document.createElement('p');
+      p.className   = className;
+      p.textContent = text;
+      lines.push(p);
+    };
+    if (definition === undefined) {
+      line('definition-note', t('definitionLoading', lang));
+    } else if (!definition) {
+      line('definition-note', t(offline ? 'definitionOffline' : 'definitionNone', lang));
+    } else {
+      if (definition.gloss)       line('definition-gloss', definition.gloss);
+      if (definition.translation) line('definition-translation', `${t('translationLabel', lang)}: ${definition.translation}`);
+    }
+
+    box.replaceChildren(head, ...lines);
+    box.setAttribute('aria-label', lower);
+    box.style.setProperty('--word-color', item.style.getPropertyValue('--word-color'));
+    this._openDefinition(lower, item);
+  }
+
+  /** hideDefinition() — close the definition popover. */
+  hideDefinition() {
+    if (!this._defined) return;
+    this._item(this._defined)?.setAttribute('aria-expanded', 'false');
+    this._defined = null;
+    this.shadowRoot.getElementById('definition').hidden = true;
+    document.removeEventListener('click', this._onOutsideClick);
+  }
+
+  /**
+   * markHinted(word, given)
+   * Show that `word` has had `given` hints; the button is disabled once
+   * every hint step is used.
+   */
+  markHinted(word, given) {
+    const lower = word.toLowerCase();
+    if (!this._words.includes(lower)) return;
+
+    this._hints.set(lower, given);
+    this._item(lower)?.querySelector('.hint-btn').replaceWith(this._hintButton(lower));
+  }
+
+  /**
+   * markRevealed(word)
+   * Show an unfound word as revealed. It keeps counting as not found.
+   */
+  markRevealed(word) {
+    const lower = word.toLowerCase();
+    if (!this._words.includes(lower) || this._found.has(lower)) return;
+
+    this._revealed.add(lower);
+    const item = this._item(lower);
+    if (!item) return;
+    item.classList.add('revealed');
+    item.querySelector('.check').textContent = '?';
+    this._makeDefinable(item);
+  }
+
   /**
    * reset(words)
    * Replace the word list and clear all found state.
@@ -200,28 +464,112 @@ class WordList extends HTMLElement {
 
   _render() {
     const list = this.shadowRoot.querySelector('.word-grid');
+    this.hideDefinition();
 
     if (this._words.length === 0) {
-      list.innerHTML = `<li class="empty">${t('noWords', this._lang)}</li>`;
+      const empty = document.createElement('li');
+      empty.className   = 'empty';
+      empty.textContent = t('noWords', this._lang);
+      list.replaceChildren(empty);
       this._updateProgress();
       return;
     }
 
-    list.innerHTML = this._words.map(word => `
-      <li class="word-item${this._found.has(word) ? ' found' : ''}" data-word="${word}">
-        <span class="check" aria-hidden="true">${this._found.has(word) ? '✓' : ''}</span>
-        <span class="text">${word}</span>
-      </li>
-    `).join('');
-
+    // Words can come from share links, so they only ever go in as text
+    list.replaceChildren(...this._words.map((word, i) => {
+      const item = document.createElement('li');
+      item.className    = `word-item${this._itemState(word)}`;
+      item.dataset.word = word;
+      item.style.setProperty('--word-color', wordColor(i));
+      item.append(
+        span('check', this._checkMark(word), true),
+        span('text', word),
+        this._hintButton(word),
+      );
+      return item;
+    }));
+
+    list.querySelectorAll('.word-item.found, .word-item.revealed').forEach(item => this._makeDefinable(item));
     this._updateProgress();
   }
 
+  _itemState(word) {
+    if (this._found.has(word))    return ' found';
+    if (this._revealed.has(word)) return ' revealed';
+    return '';
+  }
+
+  _checkMark(word) {
+    if (this._found.has(word))    return '✓';
+    if (this._revealed.has(word)) return '?';
+    return '';
+  }
+
+  _hintButton(word) {
+    const given = this._hints.get(word) ?? 0;
+    const label = `${t('hintBtn', this._lang)} (${given}/${HINT_STEPS.length})`;
+    const btn   = document.createElement('button');
+    btn.className = 'hint-btn';
+    btn.type      = 'button';
+    btn.title     = label;
+    btn.disabled  = given >= HINT_STEPS.length;
+    btn.setAttribute('aria-label', `${word}: ${label}`);
+    btn.append(span('', '💡', true), span('hint-dots', '•'.repeat(given), true));
+    return btn;
+  }
+
   _updateItem(word) {
-    const item = this.shadowRoot.querySelector(`.word-item[data-word="${word}"]`);
+    const item = this._item(word);
     if (!item) return;
     item.classList.add('found');
     item.querySelector('.check').textContent = '✓';
+    this._makeDefinable(item);
+  }
+
+  _item(word) {
+    return [...this.shadowRoot.querySelectorAll('.word-item')].find(item => item.dataset.word === word) ?? null;
+  }
+
+  /** Found / revealed words become buttons that open their definition. */
+  _makeDefinable(item) {
+    item.setAttribute('role', 'button');
+    item.setAttribute('aria-expanded', String(item.dataset.word === this._defined));
+    item.tabIndex = 0;
+    item.title    = t('showDefinition', this._lang);
+  }
+
+  /** Tapping the open word again closes its popover; any other opens it. */
+  _requestDefinition(word) {
+    if (this._defined === word) {
+      this.hideDefinition();
+      return;
+    }
+    this.hideDefinition();
+    this._defined = word;
+    this.showDefinition(word, undefined);
+    this.dispatchEvent(new CustomEvent('definition-requested', {
+      bubbles:  true,
+      composed: true,
+      detail:   { word },
+    }));
+  }
+
+  /** Place the popover just below `item` and listen for clicks elsewhere. */
+  _openDefinition(word, item) {
+    const box  = this.shadowRoot.getElementById('definition');
+    const wrap = this.shadowRoot.querySelector('.list-wrap').getBoundingClientRect();
+    box.style.top = `${item.getBoundingClientRect().bottom - wrap.top + 4}px`;
+    box.hidden    = false;
+    item.setAttribute('aria-expanded', 'true');
+    this._defined = word;
+    // Added after the opening click has finished bubbling
+    setTimeout(() => {
+      if (this._defined) document.addEventListener('click', this._onOutsideClick);
+    });
+  }
+
+  _onOutsideClick(e) {
+    if (!e.composedPath().includes(this)) this.hideDefinition();
   }
 
   _updateProgress() {
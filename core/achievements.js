@@ -0,0 +1,132 @@
+/**
+ * achievements.js
+ * Badges for FillWrds, defined as data and unlocked by game events.
+ *
+ * Each achievement names the event it is checked on and a `when` condition
+ * over that event's context. A condition maps context fields to either a
+ * plain value (must be equal) or a comparison:
+ *   { min: n }   — field ≥ n
+ *   { below: n } — field < n
+ * An empty `when` matches every event of that type.
+ *
+ * Events (the app feeds them in from its handlers):
+ *   word-found   — { word }
+ *   word-invalid — {}
+ *   win          — { lang, level, mode, elapsed, mistakes, hints, streak }
+ *
+ * Before conditions are checked the event updates running totals kept in
+ * the progress record, which are part of the context too:
+ *   wordsFound, mistakes, wins, languagesWon (count of distinct languages)
+ * Event fields win over totals of the same name, so a win's `mistakes` is
+ * that game's count, not the lifetime total.
+ *
+ * Exported API:
+ *   ACHIEVEMENTS                     → achievement definitions, in display order
+ *   emptyProgress()                  → fresh progress record
+ *   applyEvent(progress, event, now) → { progress, unlocked: Achievement[] }
+ *
+ * All functions are pure (no DOM, no side effects).
+ */
+
+// ── Types (JSDoc) ─────────────────────────────────────────────────────────────
+/**
+ * @typedef {{
+ *   id:    string,    — also the i18n key suffix: ach-<id>, ach-<id>-desc
+ *   icon:  string,
+ *   event: 'word-found' | 'word-invalid' | 'win',
+ *   when:  Object<string, *>,
+ * }} Achievement
+ *
+ * @typedef {{
+ *   unlocked:     Object<string, number>,  — achievement id → unlock timestamp
+ *   counters:     { wordsFound: number, mistakes: number, wins: number },
+ *   languagesWon: string[],
+ * }} AchievementProgress
+ */
+
+/** Every achievement, in the order the list shows them. */
+export const ACHIEVEMENTS = [
+  { id: 'first-win',      icon: '🏁', event: 'win',        when: {} },
+  { id: 'first-hard-win', icon: '🏔️', event: 'win',        when: { level: 'hard' } },
+  { id: 'fillwords-win',  icon: '🧩', event: 'win',        when: { mode: 'fillwords' } },
+  { id: 'no-mistakes',    icon: '🎯', event: 'win',        when: { mistakes: 0 } },
+  { id: 'under-60',       icon: '⚡', event: 'win',        when: { elapsed: { below: 60 } } },
+  { id: 'all-languages',  icon: '🌍', event: 'win',        when: { languagesWon: { min: 4 } } },
+  { id: 'streak-7',       icon: '🔥', event: 'win',        when: { streak: { min: 7 } } },
+  { id: 'words-100',      icon: '📚', event: 'word-found', when: { wordsFound: { min: 100 } } },
+];
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/** True if `value` satisfies one `when` entry. */
+function satisfies(value, expected) {
+  if (expected !== null && typeof expected === 'object') {
+    if ('min' in expected   && !(value >= expected.min))  return false;
+    if ('below' in expected && !(value < expected.below)) return false;
+    return true;
+  }
+  return value === expected;
+}
+
+/** `progress` with any fields missing from older saves filled in. */
+function normalize(progress) {
+  const empty = emptyProgress();
+  return { ...empty, ...progress, counters: { ...empty.counters, ...progress?.counters } };
+}
+
+/** Running totals after `event`. */
+function advance(progress, event) {
+  const counters     = { ...progress.counters };
+  let   languagesWon = progress.languagesWon;
+
+  if (event.type === 'word-found')   counters.wordsFound++;
+  if (event.type === 'word-invalid') counters.mistakes++;
+  if (event.type === 'win') {
+    counters.wins++;
+    if (!languagesWon.includes(event.lang)) languagesWon = [...languagesWon, event.lang];
+  }
+  return { ...progress, counters, languagesWon };
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/** A progress record with nothing unlocked yet. */
+export function emptyProgress() {
+  return {
+    unlocked:     {},
+    counters:     { wordsFound: 0, mistakes: 0, wins: 0 },
+    languagesWon: [],
+  };
+}
+
+/**
+ * applyEvent(progress, event)
+ * Updates the running totals for `event` and unlocks every achievement
+ * for that event type whose condition now holds. Already unlocked
+ * achievements are never reported again.
+ *
+ * @param {AchievementProgress|null} progress
+ * @param {{ type: string, [field: string]: * }} event
+ * @param {number} [now] — unlock timestamp
+ * @returns {{ progress: AchievementProgress, unlocked: Achievement[] }}
+ */
+export function applyEvent(progress, event, now = Date.now()) {
+  const next = advance(normalize(progress), event);
+
+  const context = {
+    ...next.counters,
+    languagesWon: next.languagesWon.length,
+    ...event,
+  };
+
+  const unlocked = ACHIEVEMENTS.filter(a =>
+    a.event === event.type
+    && !next.unlocked[a.id]
+    && Object.entries(a.when).every(([field, expected]) => satisfies(context[field], expected)));
+
+  if (unlocked.length > 0) {
+    next.unlocked = { ...next.unlocked };
+    for (const a of unlocked) next.unlocked[a.id] = now;
+  }
+  return { progress: next, unlocked };
+}
@@ -1,7 +1,11 @@
 /**
  * alphabets.js
- * Per-language character sets used to fill empty grid cells.
- * Only lowercase letters; no rare/ambiguous characters.
+ * Per-language character sets and letter frequencies used to fill empty
+ * grid cells. Only lowercase letters; no rare/ambiguous characters.
+ *
+ * Filler is drawn by letter frequency so it looks like the language: a
+ * uniform draw floods English grids with q/x/z and Cyrillic ones with ъ/ё,
+ * which makes real words stand out instantly.
  */
 
 export const ALPHABETS = {
@@ -18,11 +22,88 @@ export const ALPHABETS = {
 };
 
 /**
- * randomChar(lang)
- * Returns a single random filler character for the given language.
+ * Approximate letter frequencies (% of letters in running text).
+ * en/ru from standard corpus counts; be/uk are rounded estimates.
+ * Every letter of ALPHABETS[lang] must be listed.
+ */
+export const LETTER_FREQUENCIES = {
+  en: {
+    e: 12.70, t: 9.06, a: 8.17, o: 7.51, i: 6.97, n: 6.75, s: 6.33, h: 6.09,
+    r: 5.99,  d: 4.25, l: 4.03, c: 2.78, u: 2.76, m: 2.41, w: 2.36, f: 2.23,
+    g: 2.02,  y: 1.97, p: 1.93, b: 1.29, v: 0.98, k: 0.77, j: 0.15, x: 0.15,
+    q: 0.10,  z: 0.07,
+  },
+  ru: {
+    о: 10.97, е: 8.45, а: 8.01, и: 7.35, н: 6.70, т: 6.26, с: 5.47, р: 4.73,
+    в: 4.54,  л: 4.40, к: 3.49, м: 3.21, д: 2.98, п: 2.81, у: 2.62, я: 2.01,
+    ы: 1.90,  ь: 1.74, г: 1.70, з: 1.65, б: 1.59, ч: 1.44, й: 1.21, х: 0.97,
+    ж: 0.94,  ш: 0.73, ю: 0.64, ц: 0.48, щ: 0.36, э: 0.32, ф: 0.26, ъ: 0.04,
+    ё: 0.04,
+  },
+  be: {
+    а: 8.90, о: 5.60, н: 5.60, і: 5.20, е: 4.60, р: 4.60, с: 4.20, т: 4.00,
+    к: 3.70, л: 3.60, ы: 3.50, в: 3.40, д: 3.00, м: 3.00, у: 2.90, п: 2.70,
+    я: 2.50, ц: 2.40, з: 2.00, ь: 1.80, ў: 1.60, г: 1.50, б: 1.50, ч: 1.40,
+    й: 1.20, х: 1.00, ж: 0.90, ш: 0.80, э: 0.50, ю: 0.50, ё: 0.50, ф: 0.20,
+  },
+  uk: {
+    о: 9.40, а: 7.20, н: 6.50, и: 6.10, і: 5.90, в: 5.30, т: 5.30, р: 4.90,
+    е: 4.80, с: 4.30, к: 3.60, л: 3.60, у: 3.40, д: 3.20, м: 3.10, п: 2.90,
+    з: 2.20, я: 2.00, ь: 1.60, б: 1.60, г: 1.30, ч: 1.20, х: 1.10, й: 0.90,
+    ж: 0.80, ш: 0.70, ц: 0.60, ї: 0.60, ю: 0.40, є: 0.40, щ: 0.30, ф: 0.20,
+    ґ: 0.01,
+  },
+};
+
+// Cumulative weight tables, built lazily per language
+const _cumulative = {};
+
+function cumulativeTable(lang) {
+  if (!_cumulative[lang]) {
+    const alphabet = ALPHABETS[lang];
+    const freqs    = LETTER_FREQUENCIES[lang];
+    let total = 0;
+    const letters = [];
+    const bounds  = [];
+    for (const ch of alphabet) {
+      total += freqs[ch] ?? 0;
+      letters.push(ch);
+      bounds.push(total);
+    }
+    _cumulative[lang] = { letters, bounds, total };
+  }
+  return _cumulative[lang];
+}
+
+/**
+ * randomChar(lang, rng)
+ * Returns a single random filler character for the given language,
+ * weighted by LETTER_FREQUENCIES.
  * Falls back to English if the lang code is unknown.
+ * Pass a seeded `rng` (see random.js) for reproducible grids.
+ */
+export function randomChar(lang, rng = Math.random) {
+  const { letters, bounds, total } = cumulativeTable(ALPHABETS[lang] ? lang : 'en');
+  const x = rng() * total;
+  let lo = 0;
+  let hi = bounds.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (bounds[mid] > x) hi = mid;
+    else lo = mid + 1;
+  }
+  return letters[lo];
+}
+
+/**
+ * randomCharExcept(lang, except, rng)
+ * Like randomChar() but never returns `except` — used for near-miss decoys.
  */
-export function randomChar(lang) {
-  const alphabet = ALPHABETS[lang] ?? ALPHABETS.en;
-  return alphabet[Math.floor(Math.random() * alphabet.length)];
+export function randomCharExcept(lang, except, rng = Math.random) {
+  for (let i = 0; i < 20; i++) {
+    const ch = randomChar(lang, rng);
+    if (ch !== except) return ch;
+  }
+  const alphabet = (ALPHABETS[lang] ?? ALPHABETS.en).replace(except, '');
+  return alphabet[Math.floor(rng() * alphabet.length)];
 }
@@ -3,75 +3,201 @@
  * Main application controller for FillWrds.
  *
  * Orchestrates:
- *   - Language and level picker events
- *   - Word fetching (API → cache fallback → dedup)
- *   - Grid generation
- *   - Game-board and word-list updates
- *   - Win detection and iteration recording
+ *   - Language, level and category picker events
+ *   - Word fetching (bundled seed → API → cache → bundled fallback, with dedup)
+ *   - Grid generation (in a worker, cancelled by a newer New Game)
+ *   - Game-board and word-list updates, and the puzzle title (theme)
+ *   - Hints (escalating per word, time penalty)
+ *   - Word meanings: looked up as words are found, shown in the word list
+ *     popover and on the win screen
+ *   - Giving up: revealing the unfound words and recording the loss
+ *   - Win detection, scoring and iteration recording
+ *   - Recording every finished game for the statistics panel
+ *   - Feeding game events to the achievements engine, announcing unlocks
+ *   - The game clock: visible timer, pause (also on tab hide), time attack
+ *   - Saving the active game after each find, and resuming it on startup
+ *   - Share links (#p=…) for the current puzzle, and starting shared ones
+ *   - The daily puzzle (same grid for everyone per date + language) and streak
  */
 
 import { fetchWords }                    from '../services/word-api.js';
 import { getWords, addWords,
-         recordIteration }               from '../services/word-store.js';
-import { generateGrid }                  from './grid.js';
+         recordIteration, saveActiveGame,
+         loadActiveGame, clearActiveGame,
+         getDailyResult, saveDailyResult,
+         getStreak, saveStreak,
+         saveResult, getResults,
+         getAchievementProgress,
+         saveAchievementProgress }        from '../services/word-store.js';
+import { loadDictionary, getBundledWords,
+         seedWordStore }                  from '../services/dictionary.js';
+import { getDefinition, getDefinitions } from '../services/definitions.js';
+import { generatePuzzle }                from './generator.js';
 import { isGameWon }                     from './validator.js';
-import { getLevel }                      from './levels.js';
+import { getLevel, dimensionsFor, MODES,
+         directionsFor }                 from './levels.js';
+import { createMask, SHAPES }            from './masks.js';
+import { createRng, randomSeed,
+         shuffle }                        from './random.js';
+import { nextHint, hintPenalty }         from './hints.js';
+import { scoreGame }                     from './scoring.js';
+import { applyEvent }                    from './achievements.js';
+import { createClock }                   from './clock.js';
+import { encodePuzzle, decodePuzzle,
+         shareUrl, tokenFromHash,
+         isCustomWord }                   from './share.js';
+import { DAILY_LEVEL, dateKey, dailyNumber, dailySeed,
+         pickDailyWords, advanceStreak,
+         currentStreak }                  from './daily.js';
+import { CATEGORIES, DEFAULT_CATEGORY,
+         getCategory }                    from './categories.js';
 import { t }                             from './i18n.js';
 
 // ── DOM references ─────────────────────────────────────────────────────────────
 
 const langSelect       = document.querySelector('lang-select');
 const levelSelect      = document.querySelector('level-select');
+const categorySelect   = document.querySelector('category-select');
 const themeSelect      = document.querySelector('theme-select');
 const wordList         = document.querySelector('word-list');
 const gameBoard        = document.querySelector('game-board');
 const winModal         = document.querySelector('win-modal');
+const statsPanel       = document.querySelector('stats-panel');
+const achievementList  = document.querySelector('achievement-list');
+const gameTimer        = document.querySelector('game-timer');
 const btnStart         = document.getElementById('btn-start');
 const customWordsInput = document.getElementById('custom-words');
 const btnClearWords    = document.getElementById('btn-clear-words');
+const btnShare         = document.getElementById('btn-share');
+const btnDaily         = document.getElementById('btn-daily');
+const btnStats         = document.getElementById('btn-stats');
+const btnGiveUp        = document.getElementById('btn-give-up');
+const obfuscateInput   = document.getElementById('obfuscate-words');
+const puzzleTitle      = document.getElementById('puzzle-title');
 
 // ── App state ──────────────────────────────────────────────────────────────────
 
 const state = {
   lang:        'en',
   level:       'easy',
+  mode:        'wordsearch', // 'wordsearch' | 'fillwords'
+  category:    DEFAULT_CATEGORY, // word theme (categories.js)
+  customDirections: null,    // { diagonal, backwards } override, or null for level default
+  timeAttack:  false,  // count down from the level's timeLimit (setting)
+  shape:       null,   // grid shape override (masks.js), or null for level default
   gameLang:    'en',   // lang/level actually used for the active game
   gameLevel:   'easy', // (may differ from lang/level if user changed mid-game)
+  gameMode:    'wordsearch',
+  gameCategory: DEFAULT_CATEGORY,
   words:       [],      // words placed in current puzzle
+  placements:  [],      // placements for those words (drive hints)
+  hints:       {},      // word → hints given this game
   foundWords:  [],      // words found so far this game
+  foundCells:  {},      // word → cells it was found at (restored on resume)
   gameActive:  false,
-  startTime:   null,
+  clock:       null,  // clock.js Clock for the active game
+  paused:      false,
+  timeLimit:   null,  // countdown seconds for the active game, or null
+  seed:        null,  // seed of the active puzzle (for bug repros)
+  grid:        null,  // letter grid of the active puzzle (saved for resume)
+  share:       null,  // what a share link needs to rebuild the active puzzle
+  daily:       null,  // { date, number, scored } while playing the daily puzzle
+  finds:       [],    // { word, direction, at } in find order (for scoring)
+  mistakes:    0,     // invalid selections this game
 };
 
+// How many times startGame() tops up the word pool when placement falls short
+const MAX_REFILLS = 2;
+
+// Aborts the in-flight startGame() when New Game is pressed again
+let pendingGame = null;
+
+// Optional ?seed=… in the URL pins puzzle generation to a known seed.
+// All-digit seeds are numbers, so the seed the console logs replays its
+// puzzle; anything else stays a string and is hashed (see random.js).
+const rawSeed = new URLSearchParams(location.search).get('seed');
+const urlSeed = rawSeed !== null && /^\d+$/.test(rawSeed) ? Number(rawSeed) : rawSeed;
+
+// Optional ?renderer=canvas draws the board on a canvas (for large grids).
+const urlRenderer = new URLSearchParams(location.search).get('renderer');
+if (urlRenderer) gameBoard.setAttribute('renderer', urlRenderer);
+
 // ── Game flow ──────────────────────────────────────────────────────────────────
 
-/** Parse the custom-words textarea into a clean word array. */
+/**
+ * Parse the custom-words textarea into a clean word array. Uses the same
+ * rule as share links (isCustomWord), so every list played can be shared.
+ */
 function parseCustomWords(raw) {
   return raw
     .split(',')
     .map(w => w.trim().toLowerCase())
-    .filter(w => w.length >= 2);
+    .filter(isCustomWord);
+}
+
+/**
+ * End the current game (silently) and cancel any start still fetching or
+ * generating — a newer New Game / Daily always wins. Returns the signal
+ * for the new start.
+ */
+function claimStart() {
+  if (state.gameActive) endGame(false);
+  pendingGame?.abort();
+  pendingGame = new AbortController();
+  return pendingGame.signal;
 }
 
-async function startGame() {
-  if (state.gameActive) endGame(false); // silently end previous game
+/**
+ * Start a new game. `shared` (from decodePuzzle()) replays a puzzle from a
+ * share link: grid shares skip fetching and generation entirely, seed
+ * shares regenerate from the shared words and settings.
+ */
+async function startGame(shared = null) {
+  const signal = claimStart();
 
   // Snapshot lang/level now — async awaits below must all use the same values.
   // Without this, a lang-changed event mid-fetch causes addWords/getWords to use
   // a different language than fetchWords, mixing words from different languages.
-  const lang  = state.lang;
-  const level = state.level;
+  const lang  = shared?.lang  ?? state.lang;
+  const level = shared?.level ?? state.level;
+  const mode  = MODES.includes(shared?.mode) ? shared.mode : state.mode;
+  // Custom word lists have no theme; shared puzzles keep the sharer's.
+  // Shared words get the same cleanup as typed ones.
+  const customWords = parseCustomWords(shared?.words?.join(',') ?? customWordsInput?.value ?? '');
+  const category = customWords.length > 0 ? DEFAULT_CATEGORY
+    : getCategory(shared ? shared.category : state.category).id;
 
   const levelCfg  = getLevel(level);
-  const { wordCount, gridSize } = levelCfg;
+  const portrait  = window.matchMedia('(orientation: portrait)').matches;
+  const size      = shared?.size ?? dimensionsFor(levelCfg, mode, { portrait });
+  // Shapes only apply to word search — fillwords must tile every cell
+  const shape     = mode === 'wordsearch' ? (shared?.shape ?? state.shape ?? levelCfg.mask) : 'none';
+  const mask      = createMask(shape, size.rows, size.cols);
+  const directions = shared?.directions
+    ?? (state.customDirections ? directionsFor(state.customDirections) : levelCfg.directions);
+
+  if (shared?.grid) {
+    pendingGame = null;
+    launchPuzzle({ lang, level, category, mode, grid: shared.grid, placements: shared.placements, seed: shared.seed },
+                 { size, directions, shape, words: null });
+    return;
+  }
+
+  // Fillwords needs enough candidates for their lengths to tile the grid
+  // exactly, so it draws a larger pool than word-search's fixed count.
+  const wordCount = mode === 'fillwords'
+    ? Math.ceil((size.rows * size.cols) / levelCfg.wordLengthMin) * 2
+    : levelCfg.wordCount;
 
   setLoading(true);
 
-  let words = [];
+  // One seed drives both word selection and grid generation
+  const seed    = shared?.seed ?? urlSeed ?? randomSeed();
+  const wordRng = createRng(seed);
 
-  // Check for custom words first
-  const customWords = parseCustomWords(customWordsInput?.value ?? '');
+  let words = [];
 
+  // Check for custom (or shared) words first
   if (customWords.length > 0) {
     // Use custom words directly — skip API and cache entirely
     if (customWords.length < 2) {
@@ -81,17 +207,41 @@ async function startGame() {
     }
     words = customWords;
   } else {
+    // 0. First run (or updated bundled lists): seed the cache so a fresh
+    //    install can play even if every API is down
+    if (category === DEFAULT_CATEGORY) {
+      try {
+        if (await seedWordStore(lang, level)) console.info('[app] Seeded word cache from bundled dictionary:', lang, level);
+      } catch (err) {
+        console.warn('[app] Could not seed word cache:', err.message);
+      }
+    }
+
     // 1. Try fetching fresh words from the API
     try {
-      const fetched = await fetchWords(lang, level, wordCount * 2);
+      const fetched = await fetchWords(lang, level, wordCount * 2, category);
       // 2. Persist newly fetched words into the cache
-      await addWords(lang, level, fetched);
+      await addWords(lang, level, fetched, category);
     } catch (err) {
       console.warn('[app] Word API unavailable, using cache only:', err.message);
     }
 
-    // 3. Pull deduplicated words from cache (excludes last 20 iterations)
-    words = await getWords(lang, level, wordCount);
+    // 3. Pull deduplicated words from cache (excludes the topic's last 20 iterations)
+    try {
+      words = await getWords(lang, level, wordCount, wordRng, category);
+    } catch (err) {
+      console.warn('[app] Word cache unavailable:', err.message);
+    }
+
+    // 3b. Last resort: the bundled list itself, even if recently used
+    if (words.length < 3) {
+      try {
+        words = shuffle(await getBundledWords(lang, level, category), wordRng).slice(0, wordCount);
+      } catch (err) {
+        console.warn('[app] Bundled dictionary unavailable:', err.message);
+      }
+    }
+    if (signal.aborted) return;
 
     if (words.length < 3) {
       setLoading(false);
@@ -101,44 +251,246 @@ async function startGame() {
   }
 
   // 4. Generate the grid
-  const { grid, placements, skipped } = generateGrid(words, gridSize, lang);
+  // Custom lists ask for every word; fetched pools for the level's count
+  const targetCount = customWords.length > 0 ? words.length : levelCfg.wordCount;
+  const genOptions = {
+    seed,
+    directions,
+    mask,
+    wordCount: targetCount,
+    decoys:    levelCfg.decoys,
+    minScore:  levelCfg.minScore,
+  };
+  let result;
+  try {
+    result = await generatePuzzle(mode, words, size, lang, genOptions, { signal });
+
+    // 4b. Word search: if the engine fell short, top the pool up from the cache
+    //     and regenerate (custom word lists have nothing to draw on)
+    for (let refill = 0; refill < MAX_REFILLS && result.failure && customWords.length === 0; refill++) {
+      console.info('[app] Placement fell short, pulling replacements:', result.failure);
+      const extra = (await getWords(lang, level, result.failure.missing * 3, wordRng, category))
+        .filter(w => !words.includes(w));
+      if (extra.length === 0) break;
+      words  = [...words, ...extra];
+      result = await generatePuzzle(mode, words, size, lang, genOptions, { signal });
+    }
+  } catch (err) {
+    if (err.name === 'AbortError') return; // superseded by a newer game
+    console.error('[app] Puzzle generation failed:', err);
+    setLoading(false);
+    showError(t('errGenerate', state.lang));
+    return;
+  }
+  if (signal.aborted) return;
+  pendingGame = null;
+
+  const { grid, placements, skipped, seed: gridSeed, stats } = result;
+  console.info('[app] Puzzle seed:', gridSeed, stats ?? '');
 
-  if (skipped.length > 0) {
+  if (mode === 'fillwords' && placements.length === 0) {
+    setLoading(false);
+    showError(t('errTiling', state.lang));
+    return;
+  }
+
+  if (result.failure) {
     console.info('[app] Words skipped during placement:', skipped);
   }
 
+  launchPuzzle({ lang, level, category, mode, grid, placements, seed: gridSeed }, {
+    size,
+    directions,
+    shape,
+    // Custom lists are shared as words + seed; fetched ones as the full grid
+    words: customWords.length > 0 ? customWords : null,
+  });
+}
+
+/**
+ * Start today's daily puzzle in the current language. Words come from the
+ * bundled dictionary and settings are fixed, so every player gets the same
+ * grid. A daily already scored today can be replayed, but won't count.
+ */
+async function startDaily() {
+  const signal = claimStart();
+  const lang   = state.lang;
+  const date   = dateKey(new Date());
+
+  const levelCfg = getLevel(DAILY_LEVEL);
+  const size     = { rows: levelCfg.rows, cols: levelCfg.cols };
+
+  setLoading(true);
+
+  let result, previous;
+  try {
+    const dict  = await loadDictionary(lang);
+    const seed  = dailySeed(date, lang, dict.version);
+    const words = pickDailyWords(dict.levels[DAILY_LEVEL] ?? [], seed, levelCfg.wordCount * 2);
+    previous    = await getDailyResult(lang, date).catch(() => null);
+
+    result = await generatePuzzle('wordsearch', words, size, lang, {
+      seed,
+      directions: levelCfg.directions,
+      wordCount:  levelCfg.wordCount,
+      decoys:     levelCfg.decoys,
+      minScore:   levelCfg.minScore,
+    }, { signal });
+  } catch (err) {
+    if (err.name === 'AbortError') return;
+    console.error('[app] Daily puzzle failed:', err);
+    setLoading(false);
+    showError(t('errDaily', state.lang));
+    return;
+  }
+  if (signal.aborted) return;
+  pendingGame = null;
+
+  const { grid, placements, seed } = result;
+  launchPuzzle(
+    { lang, level: DAILY_LEVEL, category: DEFAULT_CATEGORY, mode: 'wordsearch', grid, placements, seed },
+    { size, directions: levelCfg.directions, shape: 'none', words: null },
+    { date, number: dailyNumber(date), scored: !previous },
+  );
+  if (previous) showToast(t('dailyPractice', state.lang));
+}
+
+/**
+ * Record a won daily (first win of the day only) and advance the streak.
+ * Resolves with what the win screen shows: { number, streak, scored }.
+ */
+async function completeDaily({ date, number, scored }, elapsed, hints, score) {
+  const stored = await getStreak();
+  const result = { lang: state.gameLang, date, number, elapsed, hints, score };
+  if (!scored || !(await saveDailyResult(result))) {
+    return { number, streak: currentStreak(stored, dateKey(new Date())), scored: false };
+  }
+  const streak = advanceStreak(stored, date);
+  await saveStreak(streak);
+  return { number, streak: streak.current, scored: true };
+}
+
+/**
+ * Make a generated (or shared) puzzle the active game.
+ * `share` holds what a share link needs beyond the grid itself;
+ * `daily` is set when this is the daily puzzle.
+ */
+function launchPuzzle({ lang, level, category, mode, grid, placements, seed }, share, daily = null) {
   // Only use words that were actually placed
   const placedWords = placements.map(p => p.word);
 
   // 5. Update state
   state.gameLang   = lang;
   state.gameLevel  = level;
+  state.gameMode   = mode;
+  state.gameCategory = category;
   state.words      = placedWords;
+  state.placements = placements;
+  state.hints      = {};
   state.foundWords = [];
+  state.foundCells = {};
+  state.finds      = [];
+  state.mistakes   = 0;
   state.gameActive = true;
-  state.startTime  = Date.now();
+  state.seed       = seed;
+  state.grid       = grid;
+  state.share      = { lang, level, category, mode, seed, ...share };
+  state.daily      = daily;
+  // The daily is the same puzzle for everyone, so never against the clock
+  state.timeLimit  = state.timeAttack && !daily ? getLevel(level).timeLimit : null;
 
   // 6. Update components
   wordList.reset(placedWords);
-  gameBoard.setGrid(grid, placedWords);
+  gameBoard.setGrid(grid, placedWords, { mode, placements });
+  showPuzzleTitle();
+  startClock();
+  saveProgress();
 
   setLoading(false);
   btnStart.textContent = 'New Game';
+  if (btnShare) btnShare.disabled = false;
+  if (btnGiveUp) btnGiveUp.disabled = false;
 }
 
-function endGame(won) {
+/**
+ * End the active game. `timedOut` marks a time-attack loss: it is always
+ * recorded and shows the loss screen. `gaveUp` is always recorded too,
+ * and reveals where the unfound words were.
+ */
+function endGame(won, { timedOut = false, gaveUp = false } = {}) {
+  const game = snapshot();
   state.gameActive = false;
+  stopClock();
+  clearActiveGame().catch(console.warn);
+  if (btnGiveUp) btnGiveUp.disabled = true;
+
+  // A puzzle skipped before any attempt doesn't count as a loss
+  if (!won && (timedOut || gaveUp || hasAttempt(game))) recordResult(game, false);
+
+  if (gaveUp) {
+    // The player has now seen every word, so keep them out of the next puzzles
+    recordIteration(state.gameLang, state.gameLevel, state.words, state.gameCategory).catch(console.warn);
+    const found   = new Set(state.foundWords);
+    const unfound = state.placements.filter(p => !found.has(p.word));
+    gameBoard.reveal(unfound);
+    for (const { word } of unfound) wordList.markRevealed(word);
+  }
+
+  if (timedOut) {
+    const found = new Set(state.foundWords);
+    winModal.showTimeUp({
+      found:   found.size,
+      total:   state.words.length,
+      elapsed: game.elapsed + hintPenalty(state.hints),
+      hints:   Object.values(state.hints).reduce((a, b) => a + b, 0),
+      missed:  state.words.filter(w => !found.has(w)),
+    });
+  }
 
   if (won) {
-    const elapsed = Math.round((Date.now() - state.startTime) / 1000);
-    recordIteration(state.gameLang, state.gameLevel, state.words).catch(console.warn);
-    winModal.show({ words: state.words, elapsed });
+    const penalty = hintPenalty(state.hints);
+    const elapsed = Math.round(state.clock.elapsed()) + penalty;
+    const hints   = Object.values(state.hints).reduce((a, b) => a + b, 0);
+    const score   = scoreGame({ finds: state.finds, mistakes: state.mistakes, hints: state.hints });
+    recordIteration(state.gameLang, state.gameLevel, state.words, state.gameCategory).catch(console.warn);
+    recordResult(game, true, score);
+
+    const win = {
+      type:     'win',
+      lang:     state.gameLang,
+      level:    state.gameLevel,
+      mode:     state.gameMode,
+      elapsed,
+      mistakes: state.mistakes,
+      hints,
+    };
+
+    if (!state.daily) {
+      winModal.show({ words: state.words, elapsed, hints, score });
+      showWinGlosses(state.gameLang, state.words);
+      trackAchievements({ ...win, streak: 0 });
+      return;
+    }
+    const words = state.words;
+    const daily = state.daily;
+    const lang  = state.gameLang;
+    completeDaily(daily, elapsed, hints, score.total)
+      .catch(err => {
+        console.warn('[app] Could not record daily result:', err.message);
+        return { number: daily.number, streak: 0, scored: false };
+      })
+      .then(result => {
+        winModal.show({ words, elapsed, hints, score, daily: result });
+        showWinGlosses(lang, words);
+        trackAchievements({ ...win, streak: result.scored ? result.streak : 0 });
+      });
   }
 }
 
 // ── Event handlers ─────────────────────────────────────────────────────────────
 
 btnStart.addEventListener('click', () => startGame());
+btnDaily?.addEventListener('click', () => startDaily());
 
 document.addEventListener('theme-changed', (e) => {
   applyTheme(e.detail.theme);
@@ -156,6 +508,52 @@ document.addEventListener('level-changed', (e) => {
   localStorage.setItem('fillwrds-level', state.level);
 });
 
+document.addEventListener('category-changed', (e) => {
+  state.category = e.detail.category;
+  localStorage.setItem('fillwrds-category', state.category);
+});
+
+document.addEventListener('mode-changed', (e) => {
+  state.mode = e.detail.mode;
+  localStorage.setItem('fillwrds-mode', state.mode);
+});
+
+document.addEventListener('directions-changed', (e) => {
+  state.customDirections = e.detail.custom;
+  if (state.customDirections) {
+    localStorage.setItem('fillwrds-directions', JSON.stringify(state.customDirections));
+  } else {
+    localStorage.removeItem('fillwrds-directions');
+  }
+});
+
+document.addEventListener('shape-changed', (e) => {
+  state.shape = e.detail.shape;
+  localStorage.setItem('fillwrds-shape', state.shape);
+});
+
+document.addEventListener('time-attack-changed', (e) => {
+  state.timeAttack = e.detail.enabled;
+  localStorage.setItem('fillwrds-time-attack', state.timeAttack ? '1' : '0');
+});
+
+btnShare?.addEventListener('click', () => {
+  if (!state.share) return;
+
+  const { words, ...settings } = state.share;
+  const token = words
+    ? encodePuzzle({ ...settings, words }, { obfuscate: !!obfuscateInput?.checked })
+    : encodePuzzle({ ...settings, grid: state.grid, placements: state.placements });
+  const url = shareUrl(token, location.href);
+
+  navigator.clipboard.writeText(url)
+    .then(() => showToast(t('linkCopied', state.lang), 'found'))
+    .catch(() => prompt(t('shareLink', state.lang), url));
+});
+
+// A share link pasted into this tab only changes the hash
+window.addEventListener('hashchange', () => startSharedFromHash());
+
 btnClearWords?.addEventListener('click', () => {
   if (customWordsInput) {
     customWordsInput.value = '';
@@ -169,25 +567,311 @@ document.addEventListener('word-found', (e) => {
   const { word } = e.detail;
   if (state.foundWords.includes(word)) return;
 
+  const placement = state.placements.find(p => p.word === word);
   state.foundWords.push(word);
+  state.foundCells[word] = e.detail.cells;
+  state.finds.push({
+    word,
+    direction: placement?.direction ?? e.detail.direction,
+    at:        state.clock.elapsed(),
+  });
   wordList.markFound(word);
+  // Look the meaning up now, so it's stored by the time anyone asks
+  getDefinition(state.gameLang, word);
   showToast(`✓ ${word.toUpperCase()}`, 'found');
+  trackAchievements({ type: 'word-found', word });
 
   if (isGameWon(state.foundWords, state.words)) {
     endGame(true);
+  } else {
+    saveProgress();
   }
 });
 
+document.addEventListener('hint-requested', (e) => {
+  if (!state.gameActive || state.paused) return;
+
+  const { word } = e.detail;
+  if (state.foundWords.includes(word)) return;
+
+  const placement = state.placements.find(p => p.word === word);
+  const hint      = nextHint(placement, state.hints[word] ?? 0);
+  if (!hint) return;
+
+  state.hints[word] = hint.step;
+  gameBoard.showHint(hint);
+  wordList.markHinted(word, hint.step);
+  showToast(`💡 +${hint.penalty}s`, 'hint');
+  saveProgress();
+});
+
+document.addEventListener('definition-requested', (e) => {
+  const { word } = e.detail;
+  getDefinition(state.gameLang, word)
+    .then(definition => wordList.showDefinition(word, definition, { offline: navigator.onLine === false }));
+});
+
+document.addEventListener('resume-game', () => {
+  if (savedGame) resumeGame(savedGame);
+  savedGame = null;
+});
+
+document.addEventListener('discard-game', () => {
+  if (savedGame && hasAttempt(savedGame)) recordResult(savedGame, false);
+  savedGame = null;
+  clearActiveGame().catch(console.warn);
+});
+
+// Pause when the tab is hidden or closed, so time away isn't counted (or used
+// to study the grid), and keep the saved elapsed time current
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState !== 'hidden') return;
+  setPaused(true);
+  saveProgress();
+});
+
+document.addEventListener('pause-toggle', () => setPaused(!state.paused));
+
+document.addEventListener('time-up', () => {
+  if (state.gameActive) endGame(false, { timedOut: true });
+});
+
+btnGiveUp?.addEventListener('click', () => {
+  if (!state.gameActive || !confirm(t('giveUpConfirm', state.lang))) return;
+  endGame(false, { gaveUp: true });
+});
+
 document.addEventListener('play-again', () => startGame());
 
-// word-invalid events are handled entirely by <game-board> (flash animation)
-// No app-level action needed.
+// <game-board> flashes the cells itself; the app only counts the mistake
+document.addEventListener('word-invalid', () => {
+  if (!state.gameActive) return;
+  state.mistakes++;
+  trackAchievements({ type: 'word-invalid' });
+});
+
+// ── Share links ────────────────────────────────────────────────────────────────
+
+/**
+ * Start the puzzle in a `#p=…` hash, if any. The hash is removed once read
+ * so a reload resumes the saved game instead of restarting the puzzle.
+ * Returns true if the hash held a puzzle link.
+ */
+function startSharedFromHash() {
+  const token = tokenFromHash(location.hash);
+  if (!token) return false;
+
+  history.replaceState(null, '', location.pathname + location.search);
+  const rejectLink = err => {
+    console.warn('[app] Bad share link:', err.message);
+    setLoading(false);
+    showError(t('errShareLink', state.lang));
+  };
+  try {
+    startGame(decodePuzzle(token)).catch(rejectLink);
+  } catch (err) {
+    rejectLink(err);
+  }
+  return true;
+}
+
+// ── Definitions ────────────────────────────────────────────────────────────────
+
+/** Add the meanings of a won puzzle's words to the win screen as they arrive. */
+function showWinGlosses(lang, words) {
+  getDefinitions(lang, words).then(definitions => winModal.showGlosses(definitions));
+}
+
+// ── Statistics ─────────────────────────────────────────────────────────────────
+
+/** True once the player has found, mis-selected or asked a hint for anything. */
+function hasAttempt(game) {
+  return game.found.length > 0 || (game.mistakes ?? 0) > 0 || Object.keys(game.hints ?? {}).length > 0;
+}
+
+/**
+ * Add a finished game — from snapshot() or a saved game — to the results
+ * store. `score` (scoring.js breakdown) is only given for wins.
+ */
+function recordResult(game, won, score = null) {
+  const found = new Set(game.found.map(f => f.word));
+  saveResult({
+    lang:      game.lang,
+    level:     game.level,
+    category:  game.category ?? DEFAULT_CATEGORY,
+    mode:      game.mode,
+    won,
+    elapsed:   game.elapsed + hintPenalty(game.hints),
+    score:     score?.total ?? 0,
+    breakdown: score,
+    words:     game.words,
+    missed:    game.words.filter(w => !found.has(w)),
+    mistakes:  game.mistakes ?? 0,
+    hints:     Object.values(game.hints ?? {}).reduce((a, b) => a + b, 0),
+    daily:     !!game.daily,
+  }).catch(err => console.warn('[app] Could not save result:', err.message));
+}
+
+btnStats?.addEventListener('click', () => {
+  getResults()
+    .then(results => statsPanel.show(results))
+    .catch(err => {
+      console.warn('[app] Could not load results:', err.message);
+      statsPanel.show([]);
+    });
+});
+
+// ── Achievements ───────────────────────────────────────────────────────────────
+
+// Progress is loaded once; events are applied strictly in order through this chain
+let achievementsReady = getAchievementProgress()
+  .catch(err => {
+    console.warn('[app] Could not load achievements:', err.message);
+    return null;
+  })
+  .then(progress => {
+    achievementList?.setProgress(progress);
+    return progress;
+  });
+
+/** Apply a game event to achievement progress and announce new unlocks. */
+function trackAchievements(event) {
+  achievementsReady = achievementsReady.then(current => {
+    const { progress, unlocked } = applyEvent(current, event);
+    saveAchievementProgress(progress)
+      .catch(err => console.warn('[app] Could not save achievements:', err.message));
+
+    for (const a of unlocked) {
+      showToast(`${a.icon} ${t('achievementUnlocked', state.lang)}: ${t(`ach-${a.id}`, state.lang)}`, 'achievement');
+    }
+    if (unlocked.length > 0) achievementList?.setProgress(progress);
+    return progress;
+  });
+}
+
+// ── Save & resume ──────────────────────────────────────────────────────────────
+
+// Saved game found on startup, waiting for the player to accept or decline
+let savedGame = null;
+
+/** Persist the active game so a reload can pick it up again. */
+function saveProgress() {
+  if (!state.gameActive) return;
+  saveActiveGame(snapshot())
+    .catch(err => console.warn('[app] Could not save game:', err.message));
+}
+
+/** Plain-data copy of the active game (what saveActiveGame() stores). */
+function snapshot() {
+  return {
+    lang:       state.gameLang,
+    level:      state.gameLevel,
+    category:   state.gameCategory,
+    mode:       state.gameMode,
+    seed:       state.seed,
+    grid:       state.grid,
+    placements: state.placements,
+    words:      state.words,
+    found:      state.foundWords.map(word => ({ word, cells: state.foundCells[word] ?? [] })),
+    elapsed:    Math.round(state.clock.elapsed()),
+    timeLimit:  state.timeLimit,
+    hints:      state.hints,
+    finds:      state.finds,
+    mistakes:   state.mistakes,
+    share:      state.share,
+    daily:      state.daily,
+  };
+}
+
+/** Rebuild state and components from a saveActiveGame() snapshot. */
+function resumeGame(saved) {
+  pendingGame?.abort();
+  pendingGame = null;
+  setLoading(false);
+
+  state.gameLang   = saved.lang;
+  state.gameLevel  = saved.level;
+  state.gameMode   = saved.mode;
+  state.gameCategory = saved.category ?? DEFAULT_CATEGORY;
+  state.seed       = saved.seed;
+  state.grid       = saved.grid;
+  state.words      = saved.words;
+  state.placements = saved.placements;
+  state.hints      = saved.hints ?? {};
+  state.finds      = saved.finds ?? [];
+  state.mistakes   = saved.mistakes ?? 0;
+  state.foundWords = saved.found.map(f => f.word);
+  state.foundCells = Object.fromEntries(saved.found.map(f => [f.word, f.cells]));
+  state.share      = saved.share ?? null;
+  state.daily      = saved.daily ?? null;
+  state.timeLimit  = saved.timeLimit ?? null;
+  state.gameActive = true;
+  if (btnShare) btnShare.disabled = !state.share;
+  if (btnGiveUp) btnGiveUp.disabled = false;
+
+  wordList.reset(saved.words);
+  gameBoard.setGrid(saved.grid, saved.words, { mode: saved.mode, placements: saved.placements });
+  showPuzzleTitle();
+  for (const { word, cells } of saved.found) {
+    wordList.markFound(word);
+    gameBoard.markFound(cells, word);
+  }
+
+  // Re-mark first-letter / direction hints; whole-word flashes aren't replayed
+  for (const [word, given] of Object.entries(state.hints)) {
+    wordList.markHinted(word, given);
+    const placement = state.placements.find(p => p.word === word);
+    for (let step = 0; step < given; step++) {
+      const hint = nextHint(placement, step);
+      if (hint && hint.kind !== 'word') gameBoard.showHint(hint);
+    }
+  }
+  startClock(saved.elapsed);
+
+  console.info('[app] Resumed saved game, seed:', saved.seed);
+}
+
+// ── Clock & pause ──────────────────────────────────────────────────────────────
+
+/** Start the active game's clock (from `elapsed` seconds) and the timer. */
+function startClock(elapsed = 0) {
+  state.clock = createClock({ elapsed });
+  showPaused(false);
+  // Hint penalties count on the visible clock, and against a countdown
+  gameTimer?.run(() => state.clock.elapsed() + hintPenalty(state.hints), { limit: state.timeLimit });
+}
+
+/** Freeze the clock and timer when the game ends. */
+function stopClock() {
+  state.clock?.pause();
+  showPaused(false);
+  gameTimer?.stop();
+}
+
+/** Pause or resume the active game: the clock stops and the board hides. */
+function setPaused(paused) {
+  if (!state.gameActive || state.paused === paused) return;
+  if (paused) {
+    state.clock.pause();
+  } else {
+    state.clock.resume();
+  }
+  showPaused(paused);
+  if (paused) saveProgress();
+}
+
+function showPaused(paused) {
+  state.paused = paused;
+  gameBoard.toggleAttribute('paused', paused);
+  gameTimer?.toggleAttribute('paused', paused);
+}
 
 // ── UI helpers ─────────────────────────────────────────────────────────────────
 
 function setLoading(on) {
   const label = btnStart.querySelector('.btn-label');
-  btnStart.disabled = on;
+  // Left enabled: pressing New Game again cancels the pending puzzle
+  btnStart.setAttribute('aria-busy', String(on));
   btnStart.classList.toggle('loading', on);
   if (label) label.textContent = on ? t('loading', state.lang) : t('newGame', state.lang);
   if (on) {
@@ -197,6 +881,26 @@ function setLoading(on) {
   }
 }
 
+/**
+ * Title above the board: the puzzle's theme and level, or the daily number,
+ * or "Custom words" for a custom list.
+ */
+function showPuzzleTitle() {
+  if (!puzzleTitle) return;
+  const lang = state.lang;
+  let title;
+  if (state.daily) {
+    title = `📅 ${t('daily', lang)} #${state.daily.number}`;
+  } else if (state.share?.words) {
+    title = `✏️ ${t('customWords', lang)} · ${t(state.gameLevel, lang)}`;
+  } else {
+    const { id, icon } = getCategory(state.gameCategory);
+    title = `${icon} ${t(`cat-${id}`, lang)} · ${t(state.gameLevel, lang)}`;
+  }
+  puzzleTitle.textContent = title;
+  puzzleTitle.hidden      = false;
+}
+
 function applyLang(lang) {
   document.documentElement.lang = lang;
   // Update static DOM elements with data-i18n attributes
@@ -210,8 +914,13 @@ function applyLang(lang) {
   document.title = t('pageTitle', lang);
   // Propagate to components
   levelSelect?.setAttribute('lang', lang);
+  categorySelect?.setAttribute('lang', lang);
   wordList?.setAttribute('lang', lang);
   winModal?.setAttribute('lang', lang);
+  statsPanel?.setAttribute('lang', lang);
+  achievementList?.setAttribute('lang', lang);
+  gameTimer?.setAttribute('lang', lang);
+  if (state.grid) showPuzzleTitle();
 }
 
 function applyTheme(theme) {
@@ -244,6 +953,17 @@ function showToast(text, type = '') {
 
 // ── Init ──────────────────────────────────────────────────────────────────────
 
+/** Saved custom directions are JSON; anything unreadable means "level default". */
+function parseSavedDirections(raw) {
+  if (!raw) return null;
+  try {
+    const { diagonal, backwards } = JSON.parse(raw);
+    return { diagonal: !!diagonal, backwards: !!backwards };
+  } catch {
+    return null;
+  }
+}
+
 // Restore lang/level from localStorage, falling back to HTML attribute defaults
 const VALID_LANGS   = ['en', 'ru', 'be', 'uk'];
 const VALID_LEVELS  = ['easy', 'medium', 'hard'];
@@ -252,17 +972,52 @@ const VALID_THEMES  = ['system', 'light', 'dark'];
 const savedLang  = localStorage.getItem('fillwrds-lang');
 const savedLevel = localStorage.getItem('fillwrds-level');
 const savedTheme = localStorage.getItem('fillwrds-theme');
+const savedMode  = localStorage.getItem('fillwrds-mode');
+const savedShape = localStorage.getItem('fillwrds-shape');
+const savedCategory = localStorage.getItem('fillwrds-category');
+const savedTimeAttack = localStorage.getItem('fillwrds-time-attack') === '1';
 
 const initLang  = (savedLang  && VALID_LANGS.includes(savedLang))   ? savedLang  : (langSelect?.getAttribute('selected-lang')   ?? 'en');
 const initLevel = (savedLevel && VALID_LEVELS.includes(savedLevel)) ? savedLevel : (levelSelect?.getAttribute('selected-level') ?? 'easy');
 const initTheme = (savedTheme && VALID_THEMES.includes(savedTheme)) ? savedTheme : 'system';
+const initMode  = (savedMode  && MODES.includes(savedMode))         ? savedMode  : 'wordsearch';
+const initShape = (savedShape && SHAPES.includes(savedShape))       ? savedShape : null;
+const initCategory = CATEGORIES.some(c => c.id === savedCategory)  ? savedCategory : DEFAULT_CATEGORY;
+const initDirs  = parseSavedDirections(localStorage.getItem('fillwrds-directions'));
 
 state.lang  = initLang;
 state.level = initLevel;
+state.mode  = initMode;
+state.category = initCategory;
+state.customDirections = initDirs;
+state.shape = initShape;
+state.timeAttack = savedTimeAttack;
 langSelect.selectedLang    = initLang;
 levelSelect.selectedLevel  = initLevel;
+levelSelect.selectedMode   = initMode;
+levelSelect.customDirections = initDirs;
+levelSelect.selectedShape  = initShape ?? getLevel(initLevel).mask;
+levelSelect.timeAttack     = savedTimeAttack;
+if (categorySelect) categorySelect.selectedCategory = initCategory;
 themeSelect.selectedTheme  = initTheme;
 applyTheme(initTheme);
 applyLang(initLang);
 
+// A share link takes priority; otherwise offer to resume an unfinished game
+const openedShared = startSharedFromHash();
+
+loadActiveGame()
+  .then(saved => {
+    if (openedShared) return;
+    if (!saved || state.gameActive || !saved.words?.length) return;
+    savedGame = saved;
+    winModal.showResume({
+      found:   saved.found.length,
+      total:   saved.words.length,
+      elapsed: saved.elapsed,
+      hints:   Object.values(saved.hints ?? {}).reduce((a, b) => a + b, 0),
+    });
+  })
+  .catch(err => console.warn('[app] Could not load saved game:', err.message));
+
 console.info('[FillWrds] App ready. Press "New Game" to start.');
@@ -0,0 +1,61 @@
+/**
+ * categories.js
+ * Themed word categories for FillWrds.
+ *
+ * A category is a third dimension next to language and level: it picks
+ * which words a puzzle draws from, and the word cache and dedup history
+ * are kept per category. 'any' is the untargeted pool every puzzle used
+ * before categories existed.
+ *
+ * Where the words come from:
+ *   ru, be, uk — Wiktionary topical categories, e.g. Category:ru:Animals
+ *   en         — bundled topical lists (data/categories/en.json)
+ *
+ * i18n: every category has a `cat-<id>` label.
+ *
+ * Exported API:
+ *   DEFAULT_CATEGORY             → 'any'
+ *   CATEGORIES                   → category definitions, in picker order
+ *   getCategory(id)              → Category (falls back to the default)
+ *   wiktionaryCategory(lang, id) → 'ru:Animals'-style title, or null
+ */
+
+// ── Types (JSDoc) ─────────────────────────────────────────────────────────────
+/**
+ * @typedef {{
+ *   id:         string,
+ *   icon:       string,
+ *   wiktionary: string|null,  — topical category name shared by every
+ *                               Wiktionary language ("<lang>:<name>")
+ * }} Category
+ */
+
+export const DEFAULT_CATEGORY = 'any';
+
+/** Every category, in the order the picker shows them. */
+export const CATEGORIES = [
+  { id: 'any',       icon: '🎲', wiktionary: null },
+  { id: 'animals',   icon: '🐾', wiktionary: 'Animals' },
+  { id: 'food',      icon: '🍎', wiktionary: 'Foods' },
+  { id: 'geography', icon: '🗺️', wiktionary: 'Geography' },
+  { id: 'plants',    icon: '🌿', wiktionary: 'Plants' },
+  { id: 'sports',    icon: '⚽', wiktionary: 'Sports' },
+];
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/** The category with `id`, or the default category if there is none. */
+export function getCategory(id) {
+  return CATEGORIES.find(c => c.id === id)
+      ?? CATEGORIES.find(c => c.id === DEFAULT_CATEGORY);
+}
+
+/**
+ * wiktionaryCategory(lang, id)
+ * The Wiktionary topical category for a language, or null for the default
+ * category (which uses the language's plain lemma list instead).
+ */
+export function wiktionaryCategory(lang, id) {
+  const { wiktionary } = getCategory(id);
+  return wiktionary ? `${lang}:${wiktionary}` : null;
+}
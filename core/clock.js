@@ -0,0 +1,70 @@
+/**
+ * clock.js
+ * Pausable game clock for FillWrds.
+ *
+ * A clock counts play time only: pausing freezes it, resuming carries on
+ * from where it stopped. It can start from an earlier elapsed time, so a
+ * resumed save picks up exactly where it was left.
+ *
+ * Exported API:
+ *   createClock({ elapsed, now }) → Clock
+ *   formatClock(seconds)          → "m:ss"
+ *
+ * No DOM; the time source is injectable for scripts and QA.
+ */
+
+// ── Types (JSDoc) ─────────────────────────────────────────────────────────────
+/**
+ * @typedef {{
+ *   readonly running: boolean,
+ *   elapsed(): number,   — seconds of play so far (fractional)
+ *   pause():   void,
+ *   resume():  void,
+ * }} Clock
+ */
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * createClock({ elapsed, now })
+ * A running clock.
+ *
+ * @param {{ elapsed?: number, now?: () => number }} [options]
+ *   elapsed — seconds already played (default 0)
+ *   now     — millisecond time source (default Date.now)
+ * @returns {Clock}
+ */
+export function createClock({ elapsed = 0, now = Date.now } = {}) {
+  let banked  = elapsed * 1000;  // ms played before the current run
+  let since   = now();           // start of the current run
+  let running = true;
+
+  return {
+    get running() { return running; },
+
+    elapsed() {
+      return (banked + (running ? now() - since : 0)) / 1000;
+    },
+
+    pause() {
+      if (!running) return;
+      banked += now() - since;
+      running = false;
+    },
+
+    resume() {
+      if (running) return;
+      since   = now();
+      running = true;
+    },
+  };
+}
+
+/**
+ * formatClock(seconds)
+ * Whole seconds as "m:ss" (minutes are not capped at 59).
+ */
+export function formatClock(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
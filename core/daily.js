@@ -0,0 +1,119 @@
+/**
+ * daily.js
+ * The daily puzzle: one shared puzzle per calendar date and language.
+ *
+ * Everything is derived from the date, so every player gets the same grid
+ * without a server: the seed comes from the date, language and dictionary
+ * version, the words from the bundled dictionary (services/dictionary.js),
+ * and the grid settings are fixed (no portrait swap, no custom shapes or
+ * directions).
+ *
+ * Exported API:
+ *   DAILY_LEVEL                        → level every daily uses
+ *   dateKey(date)                      → 'YYYY-MM-DD' in local time
+ *   dailyNumber(key)                   → 1-based puzzle number since DAILY_EPOCH
+ *   dailySeed(key, lang, version)      → seed string for createRng()
+ *   pickDailyWords(words, seed, count) → deterministic word selection
+ *   advanceStreak(streak, key)         → streak after completing `key`
+ *   currentStreak(streak, key)         → streak as of `key` (0 if broken)
+ *
+ * All functions are pure (no DOM, no side effects).
+ */
+
+import { createRng, shuffle } from './random.js';
+
+/** Level settings every daily puzzle is built with. */
+export const DAILY_LEVEL = 'medium';
+
+// Daily #1
+const DAILY_EPOCH = '2026-01-01';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/** 'YYYY-MM-DD' → days since 1970-01-01 (UTC arithmetic, so no DST drift). */
+function dayIndex(key) {
+  const [y, m, d] = key.split('-').map(Number);
+  return Math.round(Date.UTC(y, m - 1, d) / MS_PER_DAY);
+}
+
+/** The key of the day before `key`. */
+function previousKey(key) {
+  const prev = new Date((dayIndex(key) - 1) * MS_PER_DAY);
+  return prev.toISOString().slice(0, 10);
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * dateKey(date)
+ * The player's local calendar date — the daily rolls over at local midnight.
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+export function dateKey(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+/** Puzzle number for a date key, counting DAILY_EPOCH as #1. */
+export function dailyNumber(key) {
+  return dayIndex(key) - dayIndex(DAILY_EPOCH) + 1;
+}
+
+/**
+ * dailySeed(key, lang, version)
+ * Seed for the daily puzzle. Including the dictionary version means a
+ * dictionary update can't silently change an already-published grid for
+ * some players but not others.
+ */
+export function dailySeed(key, lang, version = 1) {
+  return `daily:${key}:${lang}:v${version}`;
+}
+
+/**
+ * pickDailyWords(words, seed, count)
+ * Picks `count` words reproducibly. The input is sorted first, so the
+ * result doesn't depend on the order the dictionary lists them in.
+ *
+ * @param {string[]}      words
+ * @param {number|string} seed
+ * @param {number}        count
+ * @returns {string[]}
+ */
+export function pickDailyWords(words, seed, count) {
+  const sorted = [...new Set(words)].sort();
+  return shuffle(sorted, createRng(`${seed}:words`)).slice(0, count);
+}
+
+/**
+ * advanceStreak(streak, key)
+ * Streak after completing the daily for `key`. Completing the day after
+ * the last completion extends the streak; a gap restarts it at 1;
+ * completing the same day again changes nothing.
+ *
+ * @param {{ current: number, best: number, lastDate: string|null } | null} streak
+ * @param {string} key
+ * @returns {{ current: number, best: number, lastDate: string }}
+ */
+export function advanceStreak(streak, key) {
+  const { current = 0, best = 0, lastDate = null } = streak ?? {};
+  if (lastDate === key) return { current, best, lastDate };
+
+  const next = lastDate === previousKey(key) ? current + 1 : 1;
+  return { current: next, best: Math.max(best, next), lastDate: key };
+}
+
+/**
+ * currentStreak(streak, key)
+ * The streak still alive on `key`: it survives until the end of the day
+ * after the last completion.
+ */
+export function currentStreak(streak, key) {
+  if (!streak?.lastDate) return 0;
+  return streak.lastDate === key || streak.lastDate === previousKey(key) ? streak.current : 0;
+}
@@ -0,0 +1,189 @@
+/**
+ * fillwords.js
+ * Classic "Fillwords" (филворды) generator for FillWrds.
+ *
+ * Unlike grid.js, words here follow orthogonal, bending paths and together
+ * tile the whole grid: every cell belongs to exactly one word and there are
+ * no filler letters.
+ *
+ * How it works:
+ *   1. Pick a subset of the candidate words whose lengths sum to exactly
+ *      rows × cols (0/1 subset-sum over word lengths).
+ *   2. Build a random Hamiltonian path through the grid (serpentine start,
+ *      scrambled with "backbite" moves).
+ *   3. Cut that path into consecutive segments, one per chosen word.
+ *
+ * Exported API:
+ *   generateFillwords(words, size, lang, options) → { grid, placements, skipped, seed }
+ *
+ * All functions are pure (no DOM, no side effects).
+ */
+
+import { createRng, normalizeSeed, randomSeed,
+         randomInt, shuffle }   from './random.js';
+
+// Backbite moves per cell — enough to wash out the serpentine start shape
+const SCRAMBLE_FACTOR = 30;
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/** Create an empty rows×cols grid filled with null. */
+function createEmptyGrid(rows, cols) {
+  return Array.from({ length: rows }, () => Array(cols).fill(null));
+}
+
+/**
+ * Choose words whose lengths add up to exactly `total`.
+ * Classic 0/1 subset-sum DP; candidates are pre-shuffled so different seeds
+ * pick different subsets. Returns the chosen words or null if impossible.
+ */
+function pickTiling(candidates, total) {
+  const reach = new Array(total + 1).fill(false);
+  const via   = new Array(total + 1).fill(-1);
+  reach[0] = true;
+
+  candidates.forEach((word, i) => {
+    const len = word.length;
+    for (let s = total; s >= len; s--) {
+      if (!reach[s] && reach[s - len]) {
+        reach[s] = true;
+        via[s]   = i;
+      }
+    }
+  });
+
+  if (!reach[total]) return null;
+
+  const chosen = [];
+  for (let s = total; s > 0; s -= candidates[via[s]].length) {
+    chosen.push(candidates[via[s]]);
+  }
+  return chosen;
+}
+
+/** Orthogonal neighbours of cell index `i` in a rows×cols grid. */
+function neighbours(i, rows, cols) {
+  const r = Math.floor(i / cols);
+  const c = i % cols;
+  const out = [];
+  if (r > 0)        out.push(i - cols);
+  if (r < rows - 1) out.push(i + cols);
+  if (c > 0)        out.push(i - 1);
+  if (c < cols - 1) out.push(i + 1);
+  return out;
+}
+
+/**
+ * Random Hamiltonian path over a rows×cols grid, as an array of cell indices.
+ *
+ * Starts from a boustrophedon (snake) path and applies backbite moves:
+ * connect one end to a random neighbour and reverse the dangling tail.
+ * Every move keeps the path Hamiltonian, so the result always covers the grid.
+ */
+function hamiltonianPath(rows, cols, rng) {
+  const path = [];
+  for (let r = 0; r < rows; r++) {
+    for (let k = 0; k < cols; k++) {
+      path.push(r * cols + (r % 2 === 0 ? k : cols - 1 - k));
+    }
+  }
+  const n   = path.length;
+  const pos = new Array(n);
+  path.forEach((cell, idx) => { pos[cell] = idx; });
+
+  const reverseRange = (from, to) => {
+    while (from < to) {
+      [path[from], path[to]] = [path[to], path[from]];
+      pos[path[from]] = from;
+      pos[path[to]]   = to;
+      from++;
+      to--;
+    }
+  };
+
+  const moves = n * SCRAMBLE_FACTOR;
+  for (let m = 0; m < moves; m++) {
+    // Backbite from either end: flip the whole path half of the time
+    if (rng() < 0.5) reverseRange(0, n - 1);
+
+    const tail = path[n - 1];
+    const opts = neighbours(tail, rows, cols);
+    const v    = opts[randomInt(opts.length, rng)];
+    const i    = pos[v];
+    if (i === n - 2) continue; // already linked to the tail
+
+    reverseRange(i + 1, n - 1);
+  }
+
+  return path;
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * generateFillwords(words, size, lang, options)
+ *
+ * Tiles a rows×cols grid with a subset of `words`, each following an
+ * orthogonally connected path. Words not needed for the tiling are returned
+ * in `skipped`. If no subset fills the grid exactly, `placements` is empty
+ * and every word is skipped — the caller should retry with a bigger pool.
+ * Grid masks are not supported: fillwords always uses the full rectangle.
+ *
+ * @param {string[]} words      — candidate words (pass more than needed)
+ * @param {number|{ rows: number, cols: number }} size
+ *                               — grid dimensions (a number means square)
+ * @param {string}   lang       — language code (unused: no filler letters)
+ * @param {{ seed?: number|string }} [options]
+ *
+ * @returns {{
+ *   grid:       (string|null)[][],
+ *   placements: Placement[],   — direction is always 'path'
+ *   skipped:    string[],
+ *   seed:       number,
+ * }}
+ */
+export function generateFillwords(words, size, lang = 'en', { seed } = {}) {
+  const usedSeed = seed === undefined || seed === null ? randomSeed() : normalizeSeed(seed);
+  const rng   = createRng(usedSeed);
+  const { rows, cols } = typeof size === 'number' ? { rows: size, cols: size } : size;
+  const grid  = createEmptyGrid(rows, cols);
+  const total = rows * cols;
+
+  const unique     = [...new Set(words.map(w => w.toLowerCase()))];
+  const candidates = shuffle(unique.filter(w => w.length >= 2 && w.length <= total), rng);
+  const chosen     = pickTiling(candidates, total);
+
+  if (!chosen) {
+    return { grid, placements: [], skipped: [...words], seed: usedSeed };
+  }
+
+  const order = shuffle(chosen, rng);
+  const path  = hamiltonianPath(rows, cols, rng);
+  const placements = [];
+
+  let offset = 0;
+  for (const word of order) {
+    let segment = path.slice(offset, offset + word.length);
+    offset += word.length;
+    // Either end of a segment may be the word's first letter
+    if (rng() < 0.5) segment = segment.reverse();
+
+    const cells = segment.map(i => ({ row: Math.floor(i / cols), col: i % cols }));
+    cells.forEach(({ row, col }, k) => { grid[row][col] = word[k]; });
+
+    placements.push({
+      word,
+      row:       cells[0].row,
+      col:       cells[0].col,
+      direction: 'path',
+      dr:        null,
+      dc:        null,
+      cells,
+    });
+  }
+
+  const used    = new Set(order);
+  const skipped = words.filter(w => !used.has(w.toLowerCase()));
+
+  return { grid, placements, skipped, seed: usedSeed };
+}
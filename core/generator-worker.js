@@ -0,0 +1,25 @@
+/**
+ * generator-worker.js
+ * Module worker that runs puzzle generation off the main thread.
+ *
+ * Receives  { id, mode, words, size, lang, options }
+ * Replies   { id, result } on success or { id, error } on failure.
+ *
+ * grid.js and fillwords.js are pure, so they run here unchanged; the
+ * result is plain data and survives structured cloning as-is.
+ *
+ * Started by generator.js — not meant to be used directly.
+ */
+
+import { generateGrid }      from './grid.js';
+import { generateFillwords } from './fillwords.js';
+
+self.addEventListener('message', (e) => {
+  const { id, mode, words, size, lang, options } = e.data;
+  try {
+    const generate = mode === 'fillwords' ? generateFillwords : generateGrid;
+    self.postMessage({ id, result: generate(words, size, lang, options) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+});
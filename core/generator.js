@@ -0,0 +1,128 @@
+/**
+ * generator.js
+ * Promise-based front end for puzzle generation.
+ *
+ * Each call runs generateGrid() / generateFillwords() in a fresh module
+ * worker (generator-worker.js) so the UI and the <game-board> spinner stay
+ * responsive. Aborting the signal terminates the worker at once — the only
+ * way to stop a CPU-bound search mid-flight.
+ *
+ * Generation normally takes well under a second, so a worker that hasn't
+ * answered within the timeout is terminated and the call rejects with a
+ * TimeoutError — rerunning a search that slow on the main thread would
+ * freeze the page. Only when module workers aren't supported or the worker
+ * script fails to load is the puzzle generated on the main thread instead;
+ * seeds make both paths produce the identical puzzle.
+ *
+ * Exported API:
+ *   generatePuzzle(mode, words, size, lang, options, control) → Promise<result>
+ */
+
+import { generateGrid }      from './grid.js';
+import { generateFillwords } from './fillwords.js';
+
+// Milliseconds to wait for the worker before giving up
+const DEFAULT_TIMEOUT = 5000;
+
+let nextId = 1;
+
+/** Generate synchronously on the calling thread. */
+function generateHere(mode, words, size, lang, options) {
+  const generate = mode === 'fillwords' ? generateFillwords : generateGrid;
+  return generate(words, size, lang, options);
+}
+
+/** The rejection value for a cancelled generation. */
+function abortError() {
+  return new DOMException('Puzzle generation was cancelled', 'AbortError');
+}
+
+/** The rejection value for a worker that didn't answer in time. */
+function timeoutError(timeout) {
+  return new DOMException(`Puzzle generation timed out after ${timeout} ms`, 'TimeoutError');
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * generatePuzzle(mode, words, size, lang, options, control)
+ *
+ * Runs the generator for `mode` ('wordsearch' | 'fillwords') in a worker and
+ * resolves with its usual result object (see grid.js / fillwords.js).
+ * Rejects with an AbortError DOMException when `control.signal` aborts, a
+ * TimeoutError DOMException when the worker takes longer than
+ * `control.timeout` ms, or with an Error if the generator itself throws.
+ *
+ * @param {string}   mode
+ * @param {string[]} words
+ * @param {number|{ rows: number, cols: number }} size
+ * @param {string}   lang
+ * @param {object}   [options]  — passed through to the generator
+ * @param {{ signal?: AbortSignal, timeout?: number }} [control]
+ * @returns {Promise<object>}
+ */
+export function generatePuzzle(mode, words, size, lang, options = {}, {
+  signal,
+  timeout = DEFAULT_TIMEOUT,
+} = {}) {
+  if (signal?.aborted) return Promise.reject(abortError());
+
+  let worker;
+  try {
+    worker = new Worker(new URL('./generator-worker.js', import.meta.url), { type: 'module' });
+  } catch (err) {
+    console.warn('[generator] Worker unavailable, generating on main thread:', err.message);
+    return Promise.resolve().then(() => generateHere(mode, words, size, lang, options));
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = nextId++;
+    let timer = null;
+
+    const finish = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      worker.terminate();
+    };
+
+    const fallBack = (why) => {
+      finish();
+      console.warn(`[generator] ${why}, generating on main thread`);
+      try {
+        resolve(generateHere(mode, words, size, lang, options));
+      } catch (err) {
+        reject(err);
+      }
+    };
+
+    const onAbort = () => {
+      finish();
+      reject(abortError());
+    };
+
+    worker.addEventListener('message', (e) => {
+      if (e.data.id !== id) return;
+      finish();
+      if (e.data.error) {
+        reject(new Error(e.data.error));
+      } else {
+        resolve(e.data.result);
+      }
+    });
+
+    // Fires when the worker script fails to load or throws at top level
+    worker.addEventListener('error', (e) => {
+      e.preventDefault();
+      fallBack(`Worker failed (${e.message || 'load error'})`);
+    });
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    timer = setTimeout(() => {
+      finish();
+      console.warn(`[generator] Worker timed out after ${timeout} ms`);
+      reject(timeoutError(timeout));
+    }, timeout);
+
+    worker.postMessage({ id, mode, words, size, lang, options });
+  });
+}
@@ -3,13 +3,19 @@
  * Core grid generation engine for FillWrds.
  *
  * Exported API:
- *   generateGrid(words, gridSize, lang) → { grid, placements }
- *   DIRECTIONS                          → all 8 direction vectors
+ *   generateGrid(words, size, lang, options)     → { grid, placements, skipped, seed, stats, failure }
+ *   DIRECTIONS                                   → all 8 direction vectors
+ *   DIRECTION_NAMES                              → names matching DIRECTIONS
  *
- * All functions are pure (no DOM, no side effects).
+ * All functions are pure (no DOM, no side effects). All randomness flows
+ * through a seeded PRNG, so the same seed + words + grid dimensions always
+ * produce the same puzzle.
  */
 
-import { randomChar } from './alphabets.js';
+import { randomChar, randomCharExcept } from './alphabets.js';
+import { createRng, normalizeSeed, randomSeed,
+         randomInt, shuffle }   from './random.js';
+import { findOccurrences, analyzePuzzle } from './solver.js';
 
 // ── Direction vectors ─────────────────────────────────────────────────────────
 
@@ -25,16 +31,44 @@ export const DIRECTIONS = [
   [-1, -1],  // up-left
 ];
 
-const DIRECTION_NAMES = [
+/** Names for DIRECTIONS, index-aligned. Used by levels.js direction rules. */
+export const DIRECTION_NAMES = [
   'right', 'left', 'down', 'up',
   'down-right', 'down-left', 'up-right', 'up-left',
 ];
 
+/** DIRECTION_NAMES that read against the usual left-to-right / top-to-bottom flow. */
+export const BACKWARDS = new Set(['left', 'up', 'up-left', 'down-left']);
+
+// Candidates tried per word before the search backtracks further up
+const MAX_BRANCH = 12;
+
+// Total placement attempts before the search gives up and keeps its best grid
+const DEFAULT_MAX_ATTEMPTS = 1500;
+
+// Filler re-roll rounds spent removing accidental extra word occurrences
+const MAX_REROLLS = 50;
+
+// Decoys start within this many cells (Chebyshev distance) of their word
+const DECOY_RADIUS = 3;
+
+// Marks masked-out cells while generating; replaced by null in the result
+const MASKED = '#';
+
+// Fresh grids built when `minScore` is set and a puzzle scores below it
+const MAX_QUALITY_RETRIES = 5;
+
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
-/** Create an empty size×size grid filled with null. */
-function createEmptyGrid(size) {
-  return Array.from({ length: size }, () => Array(size).fill(null));
+/**
+ * Create an empty rows×cols grid filled with null. Cells outside `mask`
+ * hold the MASKED sentinel, which never matches a letter, so placement
+ * and decoys route around them.
+ */
+function createEmptyGrid(rows, cols, mask = null) {
+  return Array.from({ length: rows }, (_, r) =>
+    Array.from({ length: cols }, (_, c) => (mask && !mask[r][c] ? MASKED : null))
+  );
 }
 
 /** Deep-copy a 2D grid. */
@@ -42,136 +76,427 @@ function copyGrid(grid) {
   return grid.map(row => [...row]);
 }
 
-/** Fisher-Yates shuffle (returns new array). */
-function shuffle(arr) {
-  const a = [...arr];
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
-}
-
 /**
- * Check whether `word` fits in the grid starting at (row, col)
- * going in direction [dr, dc], without conflicting with existing letters.
+ * Count how many cells `word` would share with letters already in the grid
+ * starting at (row, col) going in direction [dr, dc].
+ * Returns -1 if the word doesn't fit (out of bounds or conflicting letter).
  *
  * A cell is allowed if it is:
  *   - empty (null), or
  *   - already occupied by the same letter (natural crossing)
  */
-function canPlace(grid, word, row, col, dr, dc) {
-  const size = grid.length;
+function countCrossings(grid, word, row, col, dr, dc) {
+  const rows = grid.length;
+  const cols = grid[0].length;
+  let crossings = 0;
   for (let i = 0; i < word.length; i++) {
     const r = row + i * dr;
     const c = col + i * dc;
-    if (r < 0 || r >= size || c < 0 || c >= size) return false;
-    if (grid[r][c] !== null && grid[r][c] !== word[i]) return false;
+    if (r < 0 || r >= rows || c < 0 || c >= cols) return -1;
+    if (grid[r][c] === null) continue;
+    if (grid[r][c] !== word[i]) return -1;
+    crossings++;
   }
-  return true;
+  return crossings;
 }
 
 /**
  * Write `word` into the grid at (row, col) in direction [dr, dc].
- * Mutates the grid in place.
+ * Mutates the grid in place and returns the cells that were empty before,
+ * so the placement can be undone when backtracking.
  */
 function placeWord(grid, word, row, col, dr, dc) {
+  const written = [];
   for (let i = 0; i < word.length; i++) {
-    grid[row + i * dr][col + i * dc] = word[i];
+    const r = row + i * dr;
+    const c = col + i * dc;
+    if (grid[r][c] === null) written.push({ row: r, col: c });
+    grid[r][c] = word[i];
+  }
+  return written;
+}
+
+/** Undo placeWord(): clear only the cells that placement wrote. */
+function unplaceWord(grid, written) {
+  for (const { row, col } of written) grid[row][col] = null;
+}
+
+/**
+ * List every position/direction where `word` fits, best first.
+ *
+ * Candidates are shuffled for variety, then ordered by crossings (most
+ * first) so words pack densely. A candidate lying entirely on existing
+ * letters is rejected — it would hide the word inside another one.
+ * Only the top MAX_BRANCH candidates are kept to bound the search.
+ */
+function findCandidates(grid, word, allowed, rng) {
+  const out = [];
+  for (let row = 0; row < grid.length; row++) {
+    for (let col = 0; col < grid[row].length; col++) {
+      for (const { d: [dr, dc], name } of allowed) {
+        const crossings = countCrossings(grid, word, row, col, dr, dc);
+        if (crossings < 0 || crossings === word.length) continue;
+        out.push({ row, col, dr, dc, name, crossings });
+      }
+    }
+  }
+  return shuffle(out, rng)
+    .sort((a, b) => b.crossings - a.crossings)
+    .slice(0, MAX_BRANCH);
+}
+
+/** Build the public placement descriptor for a candidate. */
+function toPlacement(word, { row, col, dr, dc, name }) {
+  return {
+    word,
+    row,
+    col,
+    direction: name,
+    dr,
+    dc,
+    cells: Array.from({ length: word.length }, (_, i) => ({
+      row: row + i * dr,
+      col: col + i * dc,
+    })),
+  };
+}
+
+/**
+ * Backtracking placement search.
+ *
+ * Walks `pool` (longest first) and tries to place `target` words. Each word
+ * tries its best candidates in turn; if the rest of the puzzle can't be
+ * completed the placement is undone and the next candidate is tried. A word
+ * that fits nowhere is skipped in favour of the spare words further down
+ * the pool. The search stops after `budget` placement attempts and keeps
+ * the best partial result seen.
+ */
+function searchPlacements(grid, pool, target, allowed, rng, budget) {
+  const placements = [];
+  const stats = { attempts: 0, backtracks: 0, exhausted: false };
+  let best = { grid: copyGrid(grid), placements: [] };
+
+  function dfs(index) {
+    if (placements.length === target) return true;
+    if (pool.length - index < target - placements.length) return false;
+
+    const word = pool[index];
+    for (const cand of findCandidates(grid, word, allowed, rng)) {
+      if (stats.attempts >= budget) {
+        stats.exhausted = true;
+        return false;
+      }
+      stats.attempts++;
+
+      const written = placeWord(grid, word, cand.row, cand.col, cand.dr, cand.dc);
+      placements.push(toPlacement(word, cand));
+      if (placements.length > best.placements.length) {
+        best = { grid: copyGrid(grid), placements: [...placements] };
+      }
+
+      if (dfs(index + 1)) return true;
+
+      placements.pop();
+      unplaceWord(grid, written);
+      stats.backtracks++;
+      if (stats.exhausted) return false;
+    }
+
+    // Word fits nowhere useful — try to finish with the spare words instead
+    return dfs(index + 1);
+  }
+
+  const complete = dfs(0);
+  return complete
+    ? { grid, placements, stats, complete }
+    : { grid: best.grid, placements: best.placements, stats, complete };
+}
+
+/** Number of cells shared by two or more placements. */
+function countSharedCells(placements) {
+  const seen   = new Set();
+  const shared = new Set();
+  for (const p of placements) {
+    for (const { row, col } of p.cells) {
+      const key = `${row},${col}`;
+      if (seen.has(key)) shared.add(key);
+      seen.add(key);
+    }
   }
+  return shared.size;
 }
 
 /**
- * Try to place a single word into the grid.
- * Randomly tries positions and directions until one works or MAX_ATTEMPTS reached.
+ * Build one decoy fragment for `word`.
+ *   prefix    — the word cut short by at least one letter (min. 2 letters)
+ *   nearMiss  — the whole word with one non-initial letter swapped
+ */
+function makeDecoy(word, kind, lang, rng) {
+  if (kind === 'prefix') {
+    const maxCut = Math.max(1, Math.floor(word.length / 3));
+    const len    = Math.max(2, word.length - 1 - randomInt(maxCut, rng));
+    return word.slice(0, len);
+  }
+  const i = 1 + randomInt(word.length - 1, rng);
+  return word.slice(0, i) + randomCharExcept(lang, word[i], rng) + word.slice(i + 1);
+}
+
+/**
+ * Plant decoy fragments into empty cells near the real words they imitate.
+ * Decoys may cross existing letters like any word, but never lie entirely
+ * on them. Returns how many decoys were planted.
+ */
+function plantDecoys(grid, placements, { prefixes = 0, nearMisses = 0 }, allowed, lang, rng) {
+  if (placements.length === 0) return 0;
+  const rows  = grid.length;
+  const cols  = grid[0].length;
+  const kinds = [...Array(prefixes).fill('prefix'), ...Array(nearMisses).fill('nearMiss')];
+  let planted = 0;
+
+  for (const kind of kinds) {
+    const target = placements[randomInt(placements.length, rng)];
+    if (target.word.length < 3) continue;
+    const decoy = makeDecoy(target.word, kind, lang, rng);
+
+    const spots = [];
+    for (let row = target.row - DECOY_RADIUS; row <= target.row + DECOY_RADIUS; row++) {
+      for (let col = target.col - DECOY_RADIUS; col <= target.col + DECOY_RADIUS; col++) {
+        if (row < 0 || row >= rows || col < 0 || col >= cols) continue;
+        for (const { d: [dr, dc] } of allowed) {
+          const crossings = countCrossings(grid, decoy, row, col, dr, dc);
+          if (crossings >= 0 && crossings < decoy.length) spots.push({ row, col, dr, dc });
+        }
+      }
+    }
+    if (spots.length === 0) continue;
+
+    const { row, col, dr, dc } = spots[randomInt(spots.length, rng)];
+    placeWord(grid, decoy, row, col, dr, dc);
+    planted++;
+  }
+  return planted;
+}
+
+/**
+ * Re-roll filler letters until every placed word appears exactly once.
+ *
+ * Random filler can spell a target word a second time, either on its own
+ * or by extending real letters. Each round finds the extra occurrences
+ * and redraws the filler cells inside them. Occurrences made only of
+ * placed letters can't be fixed this way; those words are returned.
  *
- * Returns a placement descriptor or null on failure.
+ * @returns {{ rerolls: number, ambiguous: string[] }}
  */
-function tryPlaceWord(grid, word, maxAttempts = 200) {
-  const size = grid.length;
-  const dirs = shuffle(DIRECTIONS.map((d, i) => ({ d, name: DIRECTION_NAMES[i] })));
-
-  for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    const row = Math.floor(Math.random() * size);
-    const col = Math.floor(Math.random() * size);
-    const { d: [dr, dc], name } = dirs[attempt % dirs.length];
-
-    if (canPlace(grid, word, row, col, dr, dc)) {
-      placeWord(grid, word, row, col, dr, dc);
-      return {
-        word,
-        row,
-        col,
-        direction: name,
-        dr,
-        dc,
-        cells: Array.from({ length: word.length }, (_, i) => ({
-          row: row + i * dr,
-          col: col + i * dc,
-        })),
-      };
+function resolveAmbiguity(grid, placements, fillerCells, lang, rng) {
+  const isFiller = new Set(fillerCells.map(({ row, col }) => `${row},${col}`));
+  let rerolls = 0;
+
+  for (let round = 0; round <= MAX_REROLLS; round++) {
+    const toReroll  = new Set();
+    const ambiguous = [];
+
+    for (const { word } of placements) {
+      const occurrences = findOccurrences(grid, word);
+      if (occurrences.length <= 1) continue;
+
+      let fixable = false;
+      for (const { cells } of occurrences) {
+        const filler = cells.filter(({ row, col }) => isFiller.has(`${row},${col}`));
+        for (const { row, col } of filler) toReroll.add(`${row},${col}`);
+        if (filler.length > 0) fixable = true;
+      }
+      if (!fixable) ambiguous.push(word);
+    }
+
+    if (toReroll.size === 0 || round === MAX_REROLLS) return { rerolls, ambiguous };
+
+    for (const key of toReroll) {
+      const [row, col] = key.split(',').map(Number);
+      grid[row][col] = randomChar(lang, rng);
     }
+    rerolls++;
   }
-  return null;
+  return { rerolls, ambiguous: [] };
+}
+
+/**
+ * One full generation pass: search placements, plant decoys, fill, and
+ * re-roll ambiguous filler. Masked cells come back as null.
+ *
+ * @returns {{ grid, placements, stats, exhausted: boolean }}
+ */
+function buildPuzzle(pool, target, rows, cols, mask, allowed, decoys, lang, rng, maxAttempts) {
+  const empty  = createEmptyGrid(rows, cols, mask);
+  const search = searchPlacements(empty, pool, target, allowed, rng, maxAttempts);
+  const { grid, placements } = search;
+
+  const fillerCells = [];
+  let playable = 0;
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      if (grid[r][c] !== MASKED) playable++;
+      if (grid[r][c] === null) fillerCells.push({ row: r, col: c });
+    }
+  }
+
+  const stats = {
+    attempts:   search.stats.attempts,
+    backtracks: search.stats.backtracks,
+    crossings:  countSharedCells(placements),
+    fillRatio:  playable > 0 ? 1 - fillerCells.length / playable : 0,
+  };
+
+  // Decoys go into would-be filler cells, so they stay re-rollable below
+  stats.decoys = plantDecoys(grid, placements, decoys, allowed, lang, rng);
+
+  // Fill remaining empty cells with frequency-weighted filler characters
+  for (const { row, col } of fillerCells) {
+    if (grid[row][col] === null) grid[row][col] = randomChar(lang, rng);
+  }
+
+  // Make sure no target word can be found anywhere but its placement
+  Object.assign(stats, resolveAmbiguity(grid, placements, fillerCells, lang, rng));
+
+  // Masked cells leave the generator as plain gaps
+  for (const row of grid) {
+    for (let c = 0; c < row.length; c++) if (row[c] === MASKED) row[c] = null;
+  }
+
+  return { grid, placements, stats, exhausted: search.stats.exhausted };
 }
 
 // ── Public API ────────────────────────────────────────────────────────────────
 
 /**
- * generateGrid(words, gridSize, lang)
+ * generateGrid(words, size, lang, options)
+ *
+ * Places words from `words` into a rows×cols letter grid using a
+ * backtracking search that prefers crossings, then fills remaining cells
+ * with random filler characters for the given language.
  *
- * Places `words` into a gridSize×gridSize letter grid.
- * Fills remaining cells with random filler characters for the given language.
+ * `words` may be larger than `options.wordCount`: extra words act as
+ * replacements for ones that don't fit. When the requested count can't be
+ * reached, the best partial grid is returned along with a structured
+ * `failure` so the caller can fetch more words and retry.
  *
- * Words that cannot be placed after MAX_ATTEMPTS are dropped gracefully
- * (the caller receives the subset that was actually placed).
+ * Before filling, `options.decoys` plants misleading fragments (prefixes,
+ * near-misses) close to real words. Filler letters follow the language's
+ * letter frequencies. After filling, the grid is scanned in all directions
+ * and filler/decoy letters are re-rolled until each placed word appears
+ * exactly once.
  *
- * @param {string[]} words      — list of words to hide in the grid
- * @param {number}   gridSize   — grid dimension (e.g. 10 for 10×10)
+ * `options.minScore` (0–100, see solver.js analyzePuzzle) rejects weak
+ * grids: the whole puzzle is rebuilt up to MAX_QUALITY_RETRIES times and
+ * the best-scoring attempt is kept, even if none reaches the minimum.
+ *
+ * Pass `options.seed` to reproduce a puzzle exactly; when omitted a fresh
+ * seed is drawn and returned so the puzzle can still be regenerated later.
+ * `options.directions` restricts placement to the named directions
+ * (see DIRECTION_NAMES); all 8 are used by default. `options.mask`
+ * (see masks.js) shapes the grid: masked cells get neither words nor
+ * filler and are null in the returned grid.
+ *
+ * @param {string[]} words      — candidate words to hide in the grid
+ * @param {number|{ rows: number, cols: number }} size
+ *                               — grid dimensions (a number means square)
  * @param {string}   lang       — language code ('en'|'ru'|'be'|'uk')
+ * @param {{
+ *   seed?:        number|string,
+ *   directions?:  string[],
+ *   mask?:        boolean[][] | null,
+ *   wordCount?:   number,   — how many words to place (default: all)
+ *   maxAttempts?: number,   — placement attempt budget for the search
+ *   decoys?:      { prefixes?: number, nearMisses?: number },
+ *   minScore?:    number,   — minimum analyzePuzzle() score (default 0 = off)
+ * }} [options]
  *
  * @returns {{
- *   grid:       string[][],   — 2D array of single characters
+ *   grid:       (string|null)[][], — 2D array of single characters (null = masked)
  *   placements: Placement[],  — metadata for each placed word
- *   skipped:    string[],     — words that could not be placed
+ *   skipped:    string[],     — words that were not placed
+ *   seed:       number,       — seed that reproduces this exact grid
+ *   stats:      { attempts, backtracks, crossings, fillRatio, decoys, rerolls, ambiguous,
+ *                 quality?, qualityRetries? },  — quality fields only with minScore
+ *   failure:    null | {
+ *     reason:    'not-enough-words' | 'budget-exhausted' | 'no-fit',
+ *     requested: number,
+ *     placed:    number,
+ *     missing:   number,
+ *   },
  * }}
  */
-export function generateGrid(words, gridSize, lang = 'en') {
-  const grid = createEmptyGrid(gridSize);
-  const placements = [];
-  const skipped    = [];
+export function generateGrid(words, size, lang = 'en', {
+  seed,
+  directions  = DIRECTION_NAMES,
+  mask        = null,
+  wordCount   = words.length,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  decoys      = {},
+  minScore    = 0,
+} = {}) {
+  const usedSeed = seed === undefined || seed === null ? randomSeed() : normalizeSeed(seed);
+  const rng = createRng(usedSeed);
+  const { rows, cols } = typeof size === 'number' ? { rows: size, cols: size } : size;
 
-  // Sort longest words first — harder to place, so give them priority
-  const sorted = [...words].sort((a, b) => b.length - a.length);
+  const allowed = DIRECTIONS
+    .map((d, i) => ({ d, name: DIRECTION_NAMES[i] }))
+    .filter(({ name }) => directions.includes(name));
+  if (allowed.length === 0) {
+    throw new Error('[grid] No placement directions allowed');
+  }
 
-  for (const word of sorted) {
-    const lower = word.toLowerCase();
+  // A straight line can't be longer than the longer grid side, and a word hidden
+  // inside another (forwards or backwards) could never appear just once.
+  // Longest words first — harder to place, so give them priority.
+  const unique = [...new Set(words.map(w => w.toLowerCase()))];
+  const pool = unique
+    .filter(w => w.length <= Math.max(rows, cols))
+    .filter(w => !unique.some(o => o !== w && (o.includes(w) || o.includes([...w].reverse().join('')))))
+    .sort((a, b) => b.length - a.length);
+  const target = Math.min(wordCount, pool.length);
 
-    // Sanity: skip words longer than the grid diagonal
-    const maxLength = Math.floor(Math.sqrt(2) * gridSize);
-    if (lower.length > maxLength) {
-      skipped.push(word);
-      continue;
+  // Build the puzzle; with a minimum score, rebuild (same RNG stream, so
+  // still reproducible from the seed) and keep the best-scoring attempt
+  const retries = minScore > 0 ? MAX_QUALITY_RETRIES : 0;
+  let best = null;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const puzzle = buildPuzzle(pool, target, rows, cols, mask, allowed, decoys, lang, rng, maxAttempts);
+    if (minScore > 0) {
+      puzzle.stats.quality = analyzePuzzle(puzzle.grid, puzzle.placements.map(p => p.word), {
+        placements: puzzle.placements,
+        directions,
+        lang,
+      }).score;
+      puzzle.stats.qualityRetries = attempt;
     }
-
-    const placement = tryPlaceWord(grid, lower);
-    if (placement) {
-      placements.push(placement);
-    } else {
-      skipped.push(word);
+    // Quality only breaks ties between grids that placed equally many words
+    if (!best
+        || puzzle.placements.length > best.placements.length
+        || (puzzle.placements.length === best.placements.length
+            && puzzle.stats.quality > best.stats.quality)) {
+      best = puzzle;
     }
+    if (minScore <= 0 || best.stats.quality >= minScore) break;
   }
 
-  // Fill empty cells with random filler characters
-  for (let r = 0; r < gridSize; r++) {
-    for (let c = 0; c < gridSize; c++) {
-      if (grid[r][c] === null) {
-        grid[r][c] = randomChar(lang);
-      }
-    }
+  const { grid, placements, stats, exhausted } = best;
+
+  const placed  = new Set(placements.map(p => p.word));
+  const skipped = words.filter(w => !placed.has(w.toLowerCase()));
+
+  let failure = null;
+  if (placements.length < wordCount) {
+    failure = {
+      reason:    pool.length < wordCount ? 'not-enough-words'
+               : exhausted               ? 'budget-exhausted'
+               : 'no-fit',
+      requested: wordCount,
+      placed:    placements.length,
+      missing:   wordCount - placements.length,
+    };
   }
 
-  return { grid, placements, skipped };
+  return { grid, placements, skipped, seed: usedSeed, stats, failure };
 }
 
 /**
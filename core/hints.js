@@ -0,0 +1,89 @@
+/**
+ * hints.js
+ * Escalating per-word hints for FillWrds.
+ *
+ * Each word has three hint steps, given in order:
+ *   1. first-letter — the cell holding the word's first letter
+ *   2. direction    — the first two cells, showing which way the word runs
+ *   3. word         — every cell of the word, flashed briefly
+ *
+ * Every step adds a time penalty to the player's result. Hints are built
+ * from the placements generateGrid() / generateFillwords() return, so
+ * they always point at the copy of the word the validator accepts.
+ *
+ * Exported API:
+ *   HINT_STEPS                       → step ids, in escalation order
+ *   HINT_PENALTIES                   → seconds added per step
+ *   nextHint(placement, given)       → Hint | null
+ *   hintPenalty(hintLog)             → total penalty seconds for a game
+ *
+ * All functions are pure (no DOM, no side effects).
+ */
+
+// ── Types (JSDoc) ─────────────────────────────────────────────────────────────
+/**
+ * @typedef {{
+ *   word:      string,
+ *   step:      number,          — 1-based: how many hints this word has had
+ *   kind:      'first-letter' | 'direction' | 'word',
+ *   cells:     { row: number, col: number }[],
+ *   direction: string | null,   — placement direction (direction/word steps)
+ *   penalty:   number,          — seconds this hint costs
+ * }} Hint
+ */
+
+/** Hint steps, in the order they are handed out. */
+export const HINT_STEPS = ['first-letter', 'direction', 'word'];
+
+/** Seconds added to the final time for each hint step. */
+export const HINT_PENALTIES = {
+  'first-letter': 10,
+  'direction':    20,
+  'word':         45,
+};
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * nextHint(placement, given)
+ * The hint that follows `given` earlier hints for this word, or null once
+ * every step has been used.
+ *
+ * @param {Placement} placement — from generateGrid() / generateFillwords()
+ * @param {number}    given     — hints already given for this word
+ * @returns {Hint | null}
+ */
+export function nextHint(placement, given = 0) {
+  const kind = HINT_STEPS[given];
+  if (!placement || !kind) return null;
+
+  const cells = kind === 'first-letter' ? placement.cells.slice(0, 1)
+              : kind === 'direction'    ? placement.cells.slice(0, 2)
+              : placement.cells;
+
+  return {
+    word:      placement.word,
+    step:      given + 1,
+    kind,
+    cells,
+    direction: kind === 'first-letter' ? null : placement.direction,
+    penalty:   HINT_PENALTIES[kind],
+  };
+}
+
+/**
+ * hintPenalty(hintLog)
+ * Total penalty in seconds for a game's hints.
+ *
+ * @param {Object<string, number>} hintLog — word → hints given
+ * @returns {number}
+ */
+export function hintPenalty(hintLog) {
+  let total = 0;
+  for (const given of Object.values(hintLog ?? {})) {
+    for (let i = 0; i < given && i < HINT_STEPS.length; i++) {
+      total += HINT_PENALTIES[HINT_STEPS[i]];
+    }
+  }
+  return total;
+}
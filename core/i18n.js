@@ -30,6 +30,95 @@ export const TRANSLATIONS = {
     dismiss:      'Dismiss',
     errMinWords:  'Enter at least 2 words separated by commas.',
     errNoWords:   'Not enough words available. Check your connection and try again.',
+    mode:         'Mode',
+    wordsearch:   'Word search',
+    fillwords:    'Fillwords',
+    customDirections: 'Custom directions',
+    diagonal:     'Diagonal',
+    backwards:    'Backwards',
+    shape:        'Shape',
+    'shape-none':     'Rectangle',
+    'shape-circle':   'Circle',
+    'shape-heart':    'Heart',
+    'shape-diamond':  'Diamond',
+    'shape-holes':    'With holes',
+    'shape-letter-f': 'Letter F',
+    category:     'Theme',
+    'cat-any':        'Any topic',
+    'cat-animals':    'Animals',
+    'cat-food':       'Food',
+    'cat-geography':  'Geography',
+    'cat-plants':     'Plants',
+    'cat-sports':     'Sports',
+    errTiling:    "Couldn't fit these words into a fillwords grid. Try again or add more words.",
+    errGenerate:  "Couldn't build a puzzle. Please try again.",
+    hintBtn:      'Hint',
+    hintsLabel:   'Hints',
+    resumeTitle:  'Welcome back!',
+    resumeSubtitle: 'You have an unfinished puzzle.',
+    resume:       'Resume',
+    share:        'Share puzzle',
+    giveUp:       'Give up',
+    giveUpConfirm: 'Give up and show where the remaining words are?',
+    showDefinition: 'Meaning',
+    definitionLoading: 'Looking up…',
+    definitionNone: 'No definition found.',
+    definitionOffline: 'Offline — no saved definition for this word.',
+    translationLabel: 'English',
+    meanings:     'Meanings',
+    shareLink:    'Copy this link:',
+    linkCopied:   'Link copied',
+    hideWords:    'Hide words in shared links',
+    errShareLink: 'This puzzle link is broken or from a newer version of FillWrds.',
+    daily:        'Daily puzzle',
+    dailyLabel:   'Daily',
+    streak:       'Streak',
+    dailyPractice: 'Already scored today — this round is practice.',
+    errDaily:     'Could not load today\'s puzzle. Please try again.',
+    scoreLabel:   'points',
+    scoreWords:   'Words',
+    scoreDirection: 'Direction bonus',
+    scoreSpeed:   'Speed bonus',
+    scoreCombo:   'Combo bonus',
+    scoreMistakes: 'Wrong selections',
+    statistics:   'Statistics',
+    close:        'Close',
+    noStats:      'No games played yet. Finish a puzzle to see your stats.',
+    gamesPlayed:  'Played',
+    gamesWon:     'Won',
+    winRate:      'Win rate',
+    byLevel:      'By language and level',
+    language:     'Language',
+    bestTime:     'Best',
+    avgTime:      'Average',
+    bestScore:    'Top score',
+    timeChart:    'Time per game',
+    noWins:       'Win a game to start the chart.',
+    mostMissed:   'Most missed words',
+    noMissed:     'Nothing missed so far.',
+    achievements: 'Achievements',
+    achievementUnlocked: 'Achievement unlocked',
+    'ach-first-win':           'First win',
+    'ach-first-win-desc':      'Solve any puzzle',
+    'ach-first-hard-win':      'Summit',
+    'ach-first-hard-win-desc': 'Win a game on Hard',
+    'ach-fillwords-win':       'Tiler',
+    'ach-fillwords-win-desc':  'Win a Fillwords game',
+    'ach-no-mistakes':         'Flawless',
+    'ach-no-mistakes-desc':    'Win without a single wrong selection',
+    'ach-under-60':            'Lightning',
+    'ach-under-60-desc':       'Win in under 60 seconds',
+    'ach-all-languages':       'Polyglot',
+    'ach-all-languages-desc':  'Win a game in all four languages',
+    'ach-streak-7':            'On fire',
+    'ach-streak-7-desc':       'Reach a 7-day daily puzzle streak',
+    'ach-words-100':           'Bookworm',
+    'ach-words-100-desc':      'Find 100 words in total',
+    pause:        'Pause',
+    resumeTimer:  'Resume',
+    timeAttack:   'Time attack',
+    timeUpTitle:  'Time\'s up!',
+    timeUpSubtitle: 'These words were still hiding:',
   },
   ru: {
     pageTitle:    'FillWrds — Игра в слова',
@@ -57,6 +146,95 @@ export const TRANSLATIONS = {
     dismiss:      'Закрыть',
     errMinWords:  'Введите минимум 2 слова, разделённых запятыми.',
     errNoWords:   'Недостаточно слов. Проверьте подключение и попробуйте снова.',
+    mode:         'Режим',
+    wordsearch:   'Поиск слов',
+    fillwords:    'Филворд',
+    customDirections: 'Свои направления',
+    diagonal:     'Диагонали',
+    backwards:    'Задом наперёд',
+    shape:        'Форма',
+    'shape-none':     'Прямоугольник',
+    'shape-circle':   'Круг',
+    'shape-heart':    'Сердце',
+    'shape-diamond':  'Ромб',
+    'shape-holes':    'С дырками',
+    'shape-letter-f': 'Буква F',
+    category:     'Тема',
+    'cat-any':        'Любая тема',
+    'cat-animals':    'Животные',
+    'cat-food':       'Еда',
+    'cat-geography':  'География',
+    'cat-plants':     'Растения',
+    'cat-sports':     'Спорт',
+    errTiling:    'Не удалось уложить слова в филворд. Попробуйте снова или добавьте слов.',
+    errGenerate:  'Не удалось построить головоломку. Попробуйте ещё раз.',
+    hintBtn:      'Подсказка',
+    hintsLabel:   'Подсказки',
+    resumeTitle:  'С возвращением!',
+    resumeSubtitle: 'У вас есть незаконченная головоломка.',
+    resume:       'Продолжить',
+    share:        'Поделиться',
+    giveUp:       'Сдаться',
+    giveUpConfirm: 'Сдаться и показать, где остальные слова?',
+    showDefinition: 'Значение',
+    definitionLoading: 'Ищем значение…',
+    definitionNone: 'Определение не найдено.',
+    definitionOffline: 'Нет сети — для этого слова нет сохранённого определения.',
+    translationLabel: 'Англ.',
+    meanings:     'Значения слов',
+    shareLink:    'Скопируйте ссылку:',
+    linkCopied:   'Ссылка скопирована',
+    hideWords:    'Скрывать слова в ссылке',
+    errShareLink: 'Ссылка на головоломку повреждена или создана более новой версией FillWrds.',
+    daily:        'Головоломка дня',
+    dailyLabel:   'Головоломка дня',
+    streak:       'Серия',
+    dailyPractice: 'Сегодняшний результат уже засчитан — эта игра тренировочная.',
+    errDaily:     'Не удалось загрузить головоломку дня. Попробуйте ещё раз.',
+    scoreLabel:   'очков',
+    scoreWords:   'Слова',
+    scoreDirection: 'Бонус за направление',
+    scoreSpeed:   'Бонус за скорость',
+    scoreCombo:   'Бонус за серию',
+    scoreMistakes: 'Неверные выделения',
+    statistics:   'Статистика',
+    close:        'Закрыть',
+    noStats:      'Пока нет сыгранных игр. Решите головоломку, чтобы увидеть статистику.',
+    gamesPlayed:  'Сыграно',
+    gamesWon:     'Побед',
+    winRate:      'Доля побед',
+    byLevel:      'По языкам и уровням',
+    language:     'Язык',
+    bestTime:     'Лучшее',
+    avgTime:      'Среднее',
+    bestScore:    'Рекорд',
+    timeChart:    'Время по играм',
+    noWins:       'Выиграйте игру, чтобы появился график.',
+    mostMissed:   'Чаще всего не найдены',
+    noMissed:     'Пока ничего не пропущено.',
+    achievements: 'Достижения',
+    achievementUnlocked: 'Новое достижение',
+    'ach-first-win':           'Первая победа',
+    'ach-first-win-desc':      'Решите любую головоломку',
+    'ach-first-hard-win':      'Вершина',
+    'ach-first-hard-win-desc': 'Выиграйте на сложном уровне',
+    'ach-fillwords-win':       'Мастер филвордов',
+    'ach-fillwords-win-desc':  'Выиграйте игру в режиме филворда',
+    'ach-no-mistakes':         'Без ошибок',
+    'ach-no-mistakes-desc':    'Выиграйте без единого неверного выделения',
+    'ach-under-60':            'Молния',
+    'ach-under-60-desc':       'Выиграйте быстрее чем за 60 секунд',
+    'ach-all-languages':       'Полиглот',
+    'ach-all-languages-desc':  'Выиграйте на всех четырёх языках',
+    'ach-streak-7':            'В ударе',
+    'ach-streak-7-desc':       'Решайте головоломку дня 7 дней подряд',
+    'ach-words-100':           'Книжный червь',
+    'ach-words-100-desc':      'Найдите 100 слов',
+    pause:        'Пауза',
+    resumeTimer:  'Продолжить',
+    timeAttack:   'На время',
+    timeUpTitle:  'Время вышло!',
+    timeUpSubtitle: 'Эти слова остались ненайденными:',
   },
   be: {
     pageTitle:    'FillWrds — Гульня ў словы',
@@ -84,6 +262,95 @@ export const TRANSLATIONS = {
     dismiss:      'Закрыць',
     errMinWords:  'Увядзіце мінімум 2 словы, падзеленыя коскамі.',
     errNoWords:   'Недастаткова слоў. Праверце злучэнне і паспрабуйце зноў.',
+    mode:         'Рэжым',
+    wordsearch:   'Пошук слоў',
+    fillwords:    'Філворд',
+    customDirections: 'Свае напрамкі',
+    diagonal:     'Дыяганалі',
+    backwards:    'Задам наперад',
+    shape:        'Форма',
+    'shape-none':     'Прамавугольнік',
+    'shape-circle':   'Круг',
+    'shape-heart':    'Сэрца',
+    'shape-diamond':  'Ромб',
+    'shape-holes':    'З дзіркамі',
+    'shape-letter-f': 'Літара F',
+    category:     'Тэма',
+    'cat-any':        'Любая тэма',
+    'cat-animals':    'Жывёлы',
+    'cat-food':       'Ежа',
+    'cat-geography':  'Геаграфія',
+    'cat-plants':     'Расліны',
+    'cat-sports':     'Спорт',
+    errTiling:    'Не атрымалася змясціць словы ў філворд. Паспрабуйце зноў або дадайце слоў.',
+    errGenerate:  'Не атрымалася пабудаваць галаваломку. Паспрабуйце яшчэ раз.',
+    hintBtn:      'Падказка',
+    hintsLabel:   'Падказкі',
+    resumeTitle:  'З вяртаннем!',
+    resumeSubtitle: 'У вас ёсць незавершаная галаваломка.',
+    resume:       'Працягнуць',
+    share:        'Падзяліцца',
+    giveUp:       'Здацца',
+    giveUpConfirm: 'Здацца і паказаць, дзе астатнія словы?',
+    showDefinition: 'Значэнне',
+    definitionLoading: 'Шукаем значэнне…',
+    definitionNone: 'Азначэнне не знойдзена.',
+    definitionOffline: 'Няма сеткі — для гэтага слова няма захаванага азначэння.',
+    translationLabel: 'Англ.',
+    meanings:     'Значэнні слоў',
+    shareLink:    'Скапіюйце спасылку:',
+    linkCopied:   'Спасылка скапіявана',
+    hideWords:    'Хаваць словы ў спасылцы',
+    errShareLink: 'Спасылка на галаваломку пашкоджана або створана навейшай версіяй FillWrds.',
+    daily:        'Галаваломка дня',
+    dailyLabel:   'Галаваломка дня',
+    streak:       'Серыя',
+    dailyPractice: 'Сённяшні вынік ужо залічаны — гэтая гульня трэніровачная.',
+    errDaily:     'Не атрымалася загрузіць галаваломку дня. Паспрабуйце яшчэ раз.',
+    scoreLabel:   'ачкоў',
+    scoreWords:   'Словы',
+    scoreDirection: 'Бонус за кірунак',
+    scoreSpeed:   'Бонус за хуткасць',
+    scoreCombo:   'Бонус за серыю',
+    scoreMistakes: 'Няправільныя вылучэнні',
+    statistics:   'Статыстыка',
+    close:        'Закрыць',
+    noStats:      'Пакуль няма згуляных гульняў. Развяжыце галаваломку, каб убачыць статыстыку.',
+    gamesPlayed:  'Згуляна',
+    gamesWon:     'Перамог',
+    winRate:      'Доля перамог',
+    byLevel:      'Па мовах і ўзроўнях',
+    language:     'Мова',
+    bestTime:     'Лепшы',
+    avgTime:      'Сярэдні',
+    bestScore:    'Рэкорд',
+    timeChart:    'Час па гульнях',
+    noWins:       'Выйграйце гульню, каб з\'явіўся графік.',
+    mostMissed:   'Часцей за ўсё не знойдзены',
+    noMissed:     'Пакуль нічога не прапушчана.',
+    achievements: 'Дасягненні',
+    achievementUnlocked: 'Новае дасягненне',
+    'ach-first-win':           'Першая перамога',
+    'ach-first-win-desc':      'Развяжыце любую галаваломку',
+    'ach-first-hard-win':      'Вяршыня',
+    'ach-first-hard-win-desc': 'Выйграйце на складаным узроўні',
+    'ach-fillwords-win':       'Майстар філвордаў',
+    'ach-fillwords-win-desc':  'Выйграйце гульню ў рэжыме філворда',
+    'ach-no-mistakes':         'Без памылак',
+    'ach-no-mistakes-desc':    'Выйграйце без ніводнага няправільнага вылучэння',
+    'ach-under-60':            'Маланка',
+    'ach-under-60-desc':       'Выйграйце хутчэй чым за 60 секунд',
+    'ach-all-languages':       'Паліглот',
+    'ach-all-languages-desc':  'Выйграйце на ўсіх чатырох мовах',
+    'ach-streak-7':            'У ўдары',
+    'ach-streak-7-desc':       'Развязвайце галаваломку дня 7 дзён запар',
+    'ach-words-100':           'Кніжны чарвяк',
+    'ach-words-100-desc':      'Знайдзіце 100 слоў',
+    pause:        'Паўза',
+    resumeTimer:  'Працягнуць',
+    timeAttack:   'На час',
+    timeUpTitle:  'Час скончыўся!',
+    timeUpSubtitle: 'Гэтыя словы засталіся незнойдзенымі:',
   },
   uk: {
     pageTitle:    'FillWrds — Гра зі словами',
@@ -111,6 +378,95 @@ export const TRANSLATIONS = {
     dismiss:      'Закрити',
     errMinWords:  'Введіть мінімум 2 слова, розділених комами.',
     errNoWords:   "Недостатньо слів. Перевірте з'єднання та спробуйте ще раз.",
+    mode:         'Режим',
+    wordsearch:   'Пошук слів',
+    fillwords:    'Філворд',
+    customDirections: 'Свої напрямки',
+    diagonal:     'Діагоналі',
+    backwards:    'Задом наперед',
+    shape:        'Форма',
+    'shape-none':     'Прямокутник',
+    'shape-circle':   'Коло',
+    'shape-heart':    'Серце',
+    'shape-diamond':  'Ромб',
+    'shape-holes':    'З дірками',
+    'shape-letter-f': 'Літера F',
+    category:     'Тема',
+    'cat-any':        'Будь-яка тема',
+    'cat-animals':    'Тварини',
+    'cat-food':       'Їжа',
+    'cat-geography':  'Географія',
+    'cat-plants':     'Рослини',
+    'cat-sports':     'Спорт',
+    errTiling:    'Не вдалося вкласти слова у філворд. Спробуйте ще раз або додайте слів.',
+    errGenerate:  'Не вдалося побудувати головоломку. Спробуйте ще раз.',
+    hintBtn:      'Підказка',
+    hintsLabel:   'Підказки',
+    resumeTitle:  'З поверненням!',
+    resumeSubtitle: 'У вас є незавершена головоломка.',
+    resume:       'Продовжити',
+    share:        'Поділитися',
+    giveUp:       'Здатися',
+    giveUpConfirm: 'Здатися й показати, де решта слів?',
+    showDefinition: 'Значення',
+    definitionLoading: 'Шукаємо значення…',
+    definitionNone: 'Визначення не знайдено.',
+    definitionOffline: 'Немає мережі — для цього слова немає збереженого визначення.',
+    translationLabel: 'Англ.',
+    meanings:     'Значення слів',
+    shareLink:    'Скопіюйте посилання:',
+    linkCopied:   'Посилання скопійовано',
+    hideWords:    'Приховувати слова в посиланні',
+    errShareLink: 'Посилання на головоломку пошкоджене або створене новішою версією FillWrds.',
+    daily:        'Головоломка дня',
+    dailyLabel:   'Головоломка дня',
+    streak:       'Серія',
+    dailyPractice: 'Сьогоднішній результат уже зараховано — ця гра тренувальна.',
+    errDaily:     'Не вдалося завантажити головоломку дня. Спробуйте ще раз.',
+    scoreLabel:   'очок',
+    scoreWords:   'Слова',
+    scoreDirection: 'Бонус за напрямок',
+    scoreSpeed:   'Бонус за швидкість',
+    scoreCombo:   'Бонус за серію',
+    scoreMistakes: 'Неправильні виділення',
+    statistics:   'Статистика',
+    close:        'Закрити',
+    noStats:      'Ще немає зіграних ігор. Розв\'яжіть головоломку, щоб побачити статистику.',
+    gamesPlayed:  'Зіграно',
+    gamesWon:     'Перемог',
+    winRate:      'Частка перемог',
+    byLevel:      'За мовами та рівнями',
+    language:     'Мова',
+    bestTime:     'Найкращий',
+    avgTime:      'Середній',
+    bestScore:    'Рекорд',
+    timeChart:    'Час за іграми',
+    noWins:       'Виграйте гру, щоб з\'явився графік.',
+    mostMissed:   'Найчастіше не знайдені',
+    noMissed:     'Поки нічого не пропущено.',
+    achievements: 'Досягнення',
+    achievementUnlocked: 'Нове досягнення',
+    'ach-first-win':           'Перша перемога',
+    'ach-first-win-desc':      'Розв\'яжіть будь-яку головоломку',
+    'ach-first-hard-win':      'Вершина',
+    'ach-first-hard-win-desc': 'Виграйте на складному рівні',
+    'ach-fillwords-win':       'Майстер філвордів',
+    'ach-fillwords-win-desc':  'Виграйте гру в режимі філворда',
+    'ach-no-mistakes':         'Без помилок',
+    'ach-no-mistakes-desc':    'Виграйте без жодного неправильного виділення',
+    'ach-under-60':            'Блискавка',
+    'ach-under-60-desc':       'Виграйте швидше ніж за 60 секунд',
+    'ach-all-languages':       'Поліглот',
+    'ach-all-languages-desc':  'Виграйте всіма чотирма мовами',
+    'ach-streak-7':            'У ударі',
+    'ach-streak-7-desc':       'Розв\'язуйте головоломку дня 7 днів поспіль',
+    'ach-words-100':           'Книжковий хробак',
+    'ach-words-100-desc':      'Знайдіть 100 слів',
+    pause:        'Пауза',
+    resumeTimer:  'Продовжити',
+    timeAttack:   'На час',
+    timeUpTitle:  'Час вийшов!',
+    timeUpSubtitle: 'Ці слова залишилися незнайденими:',
   },
 };
 
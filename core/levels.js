@@ -7,34 +7,96 @@
  *   label          — display name
  *   wordLengthMin  — minimum word length (inclusive)
  *   wordLengthMax  — maximum word length (inclusive)
+ *   frequency      — commonness band words are picked from first, as a slice
+ *                    of the language's bundled frequency list
+ *                    (services/frequency.js), most common end first:
+ *                    { from, to } are fractions of the list's length (0–1);
+ *                    to null = no upper bound, so unranked (rare) words
+ *                    qualify too. Fractions, not ranks, because the lists
+ *                    differ in length from language to language.
  *   wordCount      — number of words placed in the puzzle
- *   gridSize       — grid is gridSize × gridSize cells
+ *   rows, cols     — word-search grid dimensions (landscape; swapped on
+ *                    portrait screens, see dimensionsFor())
+ *   fillRows,
+ *   fillCols       — grid dimensions used in fillwords mode (words tile every
+ *                    cell, so the grid is smaller than the word-search one)
+ *   mask           — default grid shape from masks.js SHAPES ('none' = full)
+ *   directions     — word-search directions words may be placed in
+ *                    (names as in grid.js DIRECTIONS)
+ *   decoys         — misleading fragments planted near real words:
+ *                    prefixes   — truncated target words ("elepha")
+ *                    nearMisses — full-length words with one letter changed
+ *   minScore       — word-search grids scoring below this (solver.js
+ *                    analyzePuzzle, 0–100) are regenerated
+ *   timeLimit      — seconds on the countdown in time-attack mode (hint
+ *                    penalties count against it)
  */
 
+/**
+ * Game modes:
+ *   wordsearch — straight-line words hidden among random filler letters
+ *   fillwords  — bending, orthogonal word paths that tile the whole grid
+ */
+export const MODES = ['wordsearch', 'fillwords'];
+
+// Direction groups. "Forward" directions read left-to-right or top-to-bottom;
+// backwards ones are their mirrors.
+const ORTHOGONAL          = ['right', 'down'];
+const DIAGONAL            = ['down-right', 'up-right'];
+const BACKWARDS           = ['left', 'up'];
+const BACKWARDS_DIAGONAL  = ['up-left', 'down-left'];
+
 export const LEVELS = [
   {
     id:           'easy',
     label:        'Easy',
     wordLengthMin: 3,
     wordLengthMax: 5,
+    frequency:    { from: 0, to: 0.5 },        // more common half of the list
     wordCount:    10,
-    gridSize:     10,
+    rows:         9,
+    cols:         12,
+    fillRows:     5,
+    fillCols:     7,
+    mask:         'none',
+    directions:   [...ORTHOGONAL],
+    decoys:       { prefixes: 0, nearMisses: 0 },
+    minScore:     70,
+    timeLimit:    180,
   },
   {
     id:           'medium',
     label:        'Medium',
     wordLengthMin: 5,
     wordLengthMax: 8,
+    frequency:    { from: 0.25, to: 1 },       // listed, past the commonest quarter
     wordCount:    15,
-    gridSize:     14,
+    rows:         12,
+    cols:         16,
+    fillRows:     7,
+    fillCols:     9,
+    mask:         'none',
+    directions:   [...ORTHOGONAL, ...DIAGONAL],
+    decoys:       { prefixes: 3, nearMisses: 0 },
+    minScore:     70,
+    timeLimit:    360,
   },
   {
     id:           'hard',
     label:        'Hard',
     wordLengthMin: 8,
     wordLengthMax: 15,
+    frequency:    { from: 0.75, to: null },    // rarest quarter, or unlisted
     wordCount:    20,
-    gridSize:     18,
+    rows:         15,
+    cols:         21,
+    fillRows:     8,
+    fillCols:     12,
+    mask:         'none',
+    directions:   [...ORTHOGONAL, ...DIAGONAL, ...BACKWARDS, ...BACKWARDS_DIAGONAL],
+    decoys:       { prefixes: 5, nearMisses: 4 },
+    minScore:     70,
+    timeLimit:    600,
   },
 ];
 
@@ -45,3 +107,54 @@ export const LEVELS_BY_ID = Object.fromEntries(LEVELS.map(l => [l.id, l]));
 export function getLevel(id) {
   return LEVELS_BY_ID[id] ?? LEVELS_BY_ID.easy;
 }
+
+/**
+ * dimensionsFor(level, mode, { portrait })
+ * Grid dimensions a level uses in the given mode. Levels are defined
+ * landscape; on portrait screens rows and columns are swapped so the grid
+ * fits phones without shrinking every cell.
+ *
+ * @returns {{ rows: number, cols: number }}
+ */
+export function dimensionsFor(level, mode = 'wordsearch', { portrait = false } = {}) {
+  const rows = mode === 'fillwords' ? level.fillRows : level.rows;
+  const cols = mode === 'fillwords' ? level.fillCols : level.cols;
+  return portrait && cols > rows ? { rows: cols, cols: rows } : { rows, cols };
+}
+
+/**
+ * directionsFor({ diagonal, backwards })
+ * Builds a direction list from the custom-difficulty toggles.
+ * Right and down are always allowed.
+ */
+export function directionsFor({ diagonal = false, backwards = false } = {}) {
+  const dirs = [...ORTHOGONAL];
+  if (diagonal)              dirs.push(...DIAGONAL);
+  if (backwards)             dirs.push(...BACKWARDS);
+  if (diagonal && backwards) dirs.push(...BACKWARDS_DIAGONAL);
+  return dirs;
+}
+
+/** Inverse of directionsFor(): which toggles a direction list implies. */
+export function directionFlags(directions) {
+  return {
+    diagonal:  DIAGONAL.some(d => directions.includes(d)),
+    backwards: BACKWARDS.some(d => directions.includes(d)),
+  };
+}
+
+/**
+ * rankDistance(band, rank, listSize)
+ * How far a word's commonness rank lies outside a level's frequency band,
+ * for a frequency list of `listSize` words: 0 inside it, otherwise the
+ * number of ranks to the nearer edge. Unranked words (rank null) are rarer
+ * than every listed word, so they only fit bands without an upper bound.
+ */
+export function rankDistance({ from, to }, rank, listSize) {
+  const minRank = Math.floor(from * listSize) + 1;
+  const maxRank = to === null ? null : Math.ceil(to * listSize);
+  if (rank === null) return maxRank === null ? 0 : Infinity;
+  if (rank < minRank) return minRank - rank;
+  if (maxRank !== null && rank > maxRank) return rank - maxRank;
+  return 0;
+}
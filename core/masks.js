@@ -0,0 +1,84 @@
+/**
+ * masks.js
+ * Cell masks (grid shapes) for word-search puzzles.
+ *
+ * A mask is a rows×cols boolean[][] where `true` marks a playable cell and
+ * `false` a gap: gaps never receive words or filler and are drawn as holes
+ * by <game-board>.
+ *
+ * Exported API:
+ *   SHAPES                       → available shape ids ('none' = full rectangle)
+ *   createMask(shape, rows, cols) → boolean[][] | null (null for 'none')
+ *
+ * All functions are pure (no DOM, no side effects).
+ */
+
+/** Shape ids, in picker order. */
+export const SHAPES = ['none', 'circle', 'heart', 'diamond', 'holes', 'letter-f'];
+
+// 5×7 bitmap for the letter shape, scaled to the grid by nearest sampling
+const LETTER_F = [
+  '11111',
+  '11111',
+  '11000',
+  '11110',
+  '11110',
+  '11000',
+  '11000',
+];
+
+/**
+ * Shape tests. Each receives normalised coordinates for the cell centre —
+ * x from -1 (left) to 1 (right), y from 1 (top) to -1 (bottom) — plus the
+ * raw row/col, and returns true if the cell is playable.
+ */
+const SHAPE_TESTS = {
+  circle:  ({ x, y }) => x * x + y * y <= 1,
+
+  diamond: ({ x, y }) => Math.abs(x) + Math.abs(y) <= 1.05,
+
+  // Classic heart curve (x² + y² − 1)³ − x²y³ ≤ 0, scaled to fill the box
+  heart: ({ x, y }) => {
+    const hx = x * 1.2;
+    const hy = y * 1.1 + 0.1;
+    const a  = hx * hx + hy * hy - 1;
+    return a * a * a - hx * hx * hy * hy * hy <= 0;
+  },
+
+  // 2×2 holes on a 6-cell lattice
+  holes: ({ row, col }) => !(row % 6 >= 2 && row % 6 <= 3 && col % 6 >= 2 && col % 6 <= 3),
+
+  'letter-f': ({ row, col, rows, cols }) => {
+    const br = Math.min(LETTER_F.length - 1, Math.floor((row / rows) * LETTER_F.length));
+    const bc = Math.min(LETTER_F[0].length - 1, Math.floor((col / cols) * LETTER_F[0].length));
+    return LETTER_F[br][bc] === '1';
+  },
+};
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * createMask(shape, rows, cols)
+ * Builds the playable-cell mask for a shape, or null for 'none' / unknown
+ * shapes (every cell playable).
+ *
+ * @param {string} shape
+ * @param {number} rows
+ * @param {number} cols
+ * @returns {boolean[][] | null}
+ */
+export function createMask(shape, rows, cols) {
+  const test = SHAPE_TESTS[shape];
+  if (!test) return null;
+
+  return Array.from({ length: rows }, (_, row) =>
+    Array.from({ length: cols }, (_, col) => test({
+      row,
+      col,
+      rows,
+      cols,
+      x: ((col + 0.5) / cols) * 2 - 1,
+      y: 1 - ((row + 0.5) / rows) * 2,
+    }))
+  );
+}
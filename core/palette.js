@@ -0,0 +1,21 @@
+/**
+ * palette.js
+ * Per-word highlight colours for FillWrds.
+ *
+ * The colours themselves are theme tokens (--color-word-1 … --color-word-N
+ * in styles/global.css), so light and dark themes each get a readable set.
+ * A word's colour follows its position in the puzzle's word list: the board
+ * and the word list agree without talking to each other, and a resumed game
+ * keeps the colours it had.
+ *
+ * Exported API:
+ *   PALETTE_SIZE     → number of colours before the palette repeats
+ *   wordColor(index) → CSS colour value for the word at `index`
+ */
+
+export const PALETTE_SIZE = 8;
+
+/** `var(--color-word-n)` for the word at `index` in the puzzle's word list. */
+export function wordColor(index) {
+  return `var(--color-word-${(Math.max(0, index) % PALETTE_SIZE) + 1})`;
+}
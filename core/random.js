@@ -0,0 +1,83 @@
+/**
+ * random.js
+ * Seedable pseudo-random number generation for FillWrds.
+ *
+ * Exported API:
+ *   createRng(seed)      → () => number in [0, 1), deterministic for a given seed
+ *   randomSeed()         → fresh 32-bit unsigned seed
+ *   normalizeSeed(seed)  → 32-bit unsigned integer for a number or string seed
+ *   randomInt(n, rng)    → integer in [0, n)
+ *   shuffle(arr, rng)    → Fisher-Yates shuffle (returns new array)
+ *
+ * Every function that takes an `rng` defaults to Math.random, so callers that
+ * don't care about reproducibility can keep omitting it.
+ *
+ * All functions are pure (no DOM, no side effects).
+ */
+
+// ── Seeds ─────────────────────────────────────────────────────────────────────
+
+/**
+ * normalizeSeed(seed)
+ * Turns any seed into a 32-bit unsigned integer.
+ * Numbers are truncated; strings are hashed (FNV-1a) so seeds like
+ * "bug-142" or "2026-10-18" are valid too.
+ *
+ * @param {number|string} seed
+ * @returns {number}
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.trunc(seed) >>> 0;
+  }
+  const str = String(seed);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/** Returns a fresh random 32-bit unsigned seed. */
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// ── Generators ────────────────────────────────────────────────────────────────
+
+/**
+ * createRng(seed)
+ * Mulberry32 — tiny, fast and good enough for puzzle generation.
+ * Returns a function with the same contract as Math.random.
+ *
+ * @param {number|string} seed
+ * @returns {() => number}
+ */
+export function createRng(seed) {
+  let a = normalizeSeed(seed);
+  return function rng() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/** Random integer in [0, n). */
+export function randomInt(n, rng = Math.random) {
+  return Math.floor(rng() * n);
+}
+
+/** Fisher-Yates shuffle (returns new array). */
+export function shuffle(arr, rng = Math.random) {
+  const a = [...arr];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
@@ -0,0 +1,144 @@
+/**
+ * scoring.js
+ * Points for a finished FillWrds game.
+ *
+ * Each found word earns:
+ *   base       — POINTS_PER_LETTER × word length
+ *   direction  — extra for harder directions: diagonals and words that read
+ *                backwards (left, up, …) multiply the base
+ *   speed      — up to SPEED_BONUS for finding it soon after the previous
+ *                word (or the start), fading to 0 over SPEED_WINDOW seconds
+ *   combo      — COMBO_STEP per word in a run of finds each within
+ *                COMBO_WINDOW seconds of the last, capped at MAX_COMBO
+ *
+ * and the game loses points for invalid selections and for hints (each hint
+ * costs its time penalty from hints.js, converted to points).
+ *
+ * The score is recomputed from a log of finds rather than kept as a running
+ * total, so a resumed game scores exactly like an uninterrupted one.
+ *
+ * Exported API:
+ *   directionMultiplier(direction)       → base multiplier for a direction
+ *   scoreGame({ finds, mistakes, hints }) → ScoreBreakdown
+ *
+ * All functions are pure (no DOM, no side effects).
+ */
+
+import { hintPenalty } from './hints.js';
+import { BACKWARDS }   from './grid.js';
+
+// ── Types (JSDoc) ─────────────────────────────────────────────────────────────
+/**
+ * @typedef {{
+ *   word:      string,
+ *   direction: string,   — placement direction ('path' for fillwords)
+ *   at:        number,   — seconds since the game started
+ * }} Find
+ *
+ * @typedef {{
+ *   word:      string,
+ *   base:      number,
+ *   direction: number,   — direction bonus points
+ *   speed:     number,
+ *   combo:     number,
+ *   points:    number,   — sum of the above
+ * }} WordScore
+ *
+ * @typedef {{
+ *   total:      number,  — never below 0
+ *   words:      WordScore[],
+ *   bonuses:    { base: number, direction: number, speed: number, combo: number },
+ *   deductions: { mistakes: number, hints: number },
+ *   mistakes:   number,  — invalid selections made
+ * }} ScoreBreakdown
+ */
+
+// ── Constants ─────────────────────────────────────────────────────────────────
+
+const POINTS_PER_LETTER = 10;
+
+// Multiplier steps on top of 1× for straight, forward-reading words
+const DIAGONAL_BONUS  = 0.25;
+const BACKWARDS_BONUS = 0.5;
+
+const SPEED_BONUS  = 30;  // points for an instant find
+const SPEED_WINDOW = 30;  // seconds until the speed bonus runs out
+
+const COMBO_WINDOW = 10;  // max seconds between finds to keep a combo going
+const COMBO_STEP   = 15;  // points per combo level
+const MAX_COMBO    = 5;
+
+const MISTAKE_POINTS      = 10;  // per invalid selection
+const HINT_POINTS_PER_SEC = 2;   // hint time penalty → points
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * directionMultiplier(direction)
+ * 1 for right/down and fillwords paths; diagonals and backwards words
+ * score more.
+ *
+ * @param {string} direction — grid.js DIRECTION_NAMES entry or 'path'
+ * @returns {number}
+ */
+export function directionMultiplier(direction) {
+  if (!direction || direction === 'path') return 1;
+  let multiplier = 1;
+  if (direction.includes('-'))   multiplier += DIAGONAL_BONUS;
+  if (BACKWARDS.has(direction)) multiplier += BACKWARDS_BONUS;
+  return multiplier;
+}
+
+/**
+ * scoreGame({ finds, mistakes, hints })
+ *
+ * @param {{
+ *   finds:     Find[],                  — in the order the words were found
+ *   mistakes?: number,                  — invalid selections
+ *   hints?:    Object<string, number>,  — word → hints given (as in app state)
+ * }} game
+ * @returns {ScoreBreakdown}
+ */
+export function scoreGame({ finds = [], mistakes = 0, hints = {} }) {
+  const words   = [];
+  const bonuses = { base: 0, direction: 0, speed: 0, combo: 0 };
+
+  let previousAt = 0;
+  let combo      = 0;
+
+  for (const { word, direction, at } of finds) {
+    const gap = Math.max(0, at - previousAt);
+    combo = words.length > 0 && gap <= COMBO_WINDOW ? Math.min(combo + 1, MAX_COMBO) : 1;
+    previousAt = at;
+
+    const base  = word.length * POINTS_PER_LETTER;
+    const entry = {
+      word,
+      base,
+      direction: Math.round(base * (directionMultiplier(direction) - 1)),
+      speed:     Math.round(SPEED_BONUS * Math.max(0, 1 - gap / SPEED_WINDOW)),
+      combo:     (combo - 1) * COMBO_STEP,
+    };
+    entry.points = entry.base + entry.direction + entry.speed + entry.combo;
+
+    bonuses.base      += entry.base;
+    bonuses.direction += entry.direction;
+    bonuses.speed     += entry.speed;
+    bonuses.combo     += entry.combo;
+    words.push(entry);
+  }
+
+  const deductions = {
+    mistakes: mistakes * MISTAKE_POINTS,
+    hints:    hintPenalty(hints) * HINT_POINTS_PER_SEC,
+  };
+
+  const earned = words.reduce((sum, w) => sum + w.points, 0);
+  return {
+    total: Math.max(0, earned - deductions.mistakes - deductions.hints),
+    words,
+    bonuses,
+    deductions,
+    mistakes,
+  };
+}
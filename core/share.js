@@ -0,0 +1,297 @@
+/**
+ * share.js
+ * Compact, versioned puzzle links for FillWrds.
+ *
+ * A shared puzzle travels in the URL hash as `#p=<token>`, where the token
+ * is base64url-encoded JSON. Two flavours:
+ *
+ *   grid  — the full letter grid plus placements, for puzzles built from
+ *           fetched words (the recipient's word cache differs, so a seed
+ *           alone can't rebuild them). Placement words are not stored:
+ *           they are read back off the grid.
+ *   seed  — the word list plus everything generation depends on (seed,
+ *           size, directions, shape), for custom-word puzzles. Words can
+ *           be obfuscated so they can't be read straight from the link.
+ *
+ * Payload keys are one letter to keep links short:
+ *   v version · l lang · d level · m mode · s seed · z [rows, cols]
+ *   g grid rows ('.' = gap) · p placements · w words · o obfuscated
+ *   r direction indices · k shape · c category (grid shares, when themed)
+ *
+ * Exported API:
+ *   SHARE_VERSION                 → current payload version
+ *   encodePuzzle(puzzle, options) → token string
+ *   decodePuzzle(token)           → SharedPuzzle (throws on bad tokens)
+ *   shareUrl(token, base)         → full link with `#p=<token>`
+ *   tokenFromHash(hash)           → token from a location.hash, or null
+ *   isCustomWord(word)            → true if `word` may be a custom word
+ *
+ * Links come from strangers, so decodePuzzle() checks everything before
+ * the app sees it: settings must be ones this app knows, the size is
+ * capped at MAX_GRID_SIZE, grids may only hold letters of the link's
+ * language, and shared words must pass isCustomWord() — the same rule the
+ * custom-words box uses, so every list a player can play can be shared.
+ *
+ * All functions are pure (no DOM, no side effects).
+ */
+
+import { DIRECTIONS, DIRECTION_NAMES } from './grid.js';
+import { createRng }                   from './random.js';
+import { ALPHABETS }                   from './alphabets.js';
+import { LEVELS_BY_ID, MODES }         from './levels.js';
+import { SHAPES }                      from './masks.js';
+import { CATEGORIES,
+         DEFAULT_CATEGORY }            from './categories.js';
+
+// ── Types (JSDoc) ─────────────────────────────────────────────────────────────
+/**
+ * @typedef {{
+ *   version:     number,
+ *   lang:        string,
+ *   level:       string,
+ *   mode:        string,
+ *   seed:        number,
+ *   size:        { rows: number, cols: number },
+ *   grid?:       (string|null)[][],  — grid shares only
+ *   placements?: Placement[],        — grid shares only
+ *   category?:   string,             — grid shares only (theme shown in the title)
+ *   words?:      string[],           — seed shares only
+ *   directions?: string[],           — seed shares only
+ *   shape?:      string,             — seed shares only
+ * }} SharedPuzzle
+ */
+
+/** Bump when the payload layout changes; decoders reject newer versions. */
+export const SHARE_VERSION = 1;
+
+const HASH_KEY = 'p';
+
+// Largest grid side a link may ask for
+const MAX_GRID_SIZE = 40;
+
+// Most words a seed share may carry
+const MAX_WORDS = 100;
+
+// Custom words: letters of any script, plus the apostrophes and hyphens
+// of words like "м'ята" and "rock-n-roll"
+const CUSTOM_WORD_RE = /^[\p{L}'-]+$/u;
+
+// Path steps for fillwords placements
+const STEPS = { R: [0, 1], L: [0, -1], D: [1, 0], U: [-1, 0] };
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/** UTF-8 string → base64url (no padding). */
+function toBase64Url(str) {
+  const bytes = new TextEncoder().encode(str);
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/** base64url → UTF-8 string. */
+function fromBase64Url(token) {
+  const b64    = token.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4));
+  return new TextDecoder().decode(Uint8Array.from(binary, ch => ch.charCodeAt(0)));
+}
+
+/**
+ * XOR every character code with a keystream drawn from the seed. Applying
+ * it twice restores the input. This only keeps words from being read off
+ * the link at a glance — it is not encryption.
+ */
+function scramble(str, seed) {
+  const rng = createRng(`share:${seed}`);
+  return Array.from(str, ch => String.fromCharCode(ch.charCodeAt(0) ^ (1 + Math.floor(rng() * 31)))).join('');
+}
+
+/** Placement → [row, col, dirIndex, length] or [row, col, "RRDL…"] for paths. */
+function packPlacement(p) {
+  if (p.direction === 'path') {
+    const moves = p.cells.slice(1).map((cell, i) => {
+      const prev = p.cells[i];
+      const [name] = Object.entries(STEPS)
+        .find(([, [dr, dc]]) => cell.row - prev.row === dr && cell.col - prev.col === dc);
+      return name;
+    });
+    return [p.row, p.col, moves.join('')];
+  }
+  return [p.row, p.col, DIRECTION_NAMES.indexOf(p.direction), p.word.length];
+}
+
+/** Throw the generic "malformed" error unless `ok`. */
+function check(ok) {
+  if (!ok) throw new Error('[share] Malformed puzzle link');
+}
+
+/** True for an integer in [min, max]. */
+function isIntIn(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/** Inverse of packPlacement(); the word is read off the grid. */
+function unpackPlacement(packed, grid) {
+  check(Array.isArray(packed));
+  const [row, col] = packed;
+  const rows = grid.length;
+  const cols = grid[0].length;
+  check(isIntIn(row, 0, rows - 1) && isIntIn(col, 0, cols - 1));
+  let cells, direction, dr, dc;
+
+  if (typeof packed[2] === 'string') {
+    check(packed[2].length < rows * cols);
+    cells = [{ row, col }];
+    for (const step of packed[2]) {
+      if (!STEPS[step]) throw new Error('[share] Bad path step');
+      const prev = cells[cells.length - 1];
+      cells.push({ row: prev.row + STEPS[step][0], col: prev.col + STEPS[step][1] });
+    }
+    direction = 'path';
+    dr = null;
+    dc = null;
+  } else {
+    const [, , dirIndex, length] = packed;
+    if (!DIRECTIONS[dirIndex]) throw new Error('[share] Bad direction');
+    check(isIntIn(length, 1, Math.max(rows, cols)));
+    [dr, dc]  = DIRECTIONS[dirIndex];
+    direction = DIRECTION_NAMES[dirIndex];
+    cells = Array.from({ length }, (_, i) => ({ row: row + i * dr, col: col + i * dc }));
+  }
+
+  const letters = cells.map(c => grid[c.row]?.[c.col]);
+  if (letters.some(ch => typeof ch !== 'string')) {
+    throw new Error('[share] Placement runs off the grid');
+  }
+  return { word: letters.join(''), row, col, direction, dr, dc, cells };
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * encodePuzzle(puzzle, options)
+ *
+ * Pass `grid` + `placements` for a grid share, or `words` (plus seed,
+ * size, directions and shape) for a seed share.
+ *
+ * @param {{
+ *   lang: string, level: string, mode: string, seed: number,
+ *   size: { rows: number, cols: number },
+ *   grid?: (string|null)[][], placements?: Placement[], category?: string,
+ *   words?: string[], directions?: string[], shape?: string,
+ * }} puzzle
+ * @param {{ obfuscate?: boolean }} [options] — hide seed-share words
+ * @returns {string}
+ */
+export function encodePuzzle(puzzle, { obfuscate = false } = {}) {
+  const { lang, level, mode, seed, size } = puzzle;
+  const payload = { v: SHARE_VERSION, l: lang, d: level, m: mode, s: seed, z: [size.rows, size.cols] };
+
+  if (puzzle.grid) {
+    payload.g = puzzle.grid.map(row => row.map(ch => ch ?? '.').join(''));
+    payload.p = puzzle.placements.map(packPlacement);
+    if (puzzle.category && puzzle.category !== DEFAULT_CATEGORY) payload.c = puzzle.category;
+  } else {
+    const words = puzzle.words.join(',');
+    payload.w = obfuscate ? scramble(words, seed) : words;
+    if (obfuscate) payload.o = 1;
+    if (puzzle.directions) payload.r = puzzle.directions.map(d => DIRECTION_NAMES.indexOf(d)).join('');
+    if (puzzle.shape && puzzle.shape !== 'none') payload.k = puzzle.shape;
+  }
+
+  return toBase64Url(JSON.stringify(payload));
+}
+
+/**
+ * decodePuzzle(token)
+ * Parses a token from encodePuzzle(). Throws an Error for malformed
+ * tokens — anything this app would not have written, including unknown
+ * settings, oversized grids and non-letters — and for tokens written by
+ * a newer version of the app.
+ *
+ * @param {string} token
+ * @returns {SharedPuzzle}
+ */
+export function decodePuzzle(token) {
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(token));
+  } catch {
+    throw new Error('[share] Malformed puzzle link');
+  }
+
+  const { v, l, d, m = 'wordsearch', s, z } = payload ?? {};
+  check(Number.isInteger(v) && v >= 1);
+  if (v > SHARE_VERSION) throw new Error(`[share] Puzzle link version ${v} is newer than this app`);
+  check(Object.hasOwn(ALPHABETS, l) && Object.hasOwn(LEVELS_BY_ID, d) && MODES.includes(m));
+  check(Array.isArray(z) && isIntIn(z[0], 1, MAX_GRID_SIZE) && isIntIn(z[1], 1, MAX_GRID_SIZE));
+
+  const puzzle = {
+    version: v,
+    lang:    l,
+    level:   d,
+    mode:    m,
+    seed:    s >>> 0,
+    size:    { rows: z[0], cols: z[1] },
+  };
+  const alphabet = ALPHABETS[l];
+
+  if (payload.g !== undefined) {
+    const { g, p = [], c = DEFAULT_CATEGORY } = payload;
+    check(Array.isArray(g) && g.length === z[0] && Array.isArray(p) && p.length <= z[0] * z[1]);
+    check(CATEGORIES.some(category => category.id === c));
+    puzzle.grid = g.map(row => {
+      check(typeof row === 'string' && [...row].length === z[1]);
+      return Array.from(row, ch => {
+        if (ch === '.') return null;
+        check(alphabet.includes(ch));
+        return ch;
+      });
+    });
+    puzzle.placements = p.map(packed => unpackPlacement(packed, puzzle.grid));
+    puzzle.category   = c;
+    return puzzle;
+  }
+
+  check(typeof payload.w === 'string');
+  const words = (payload.o ? scramble(payload.w, puzzle.seed) : payload.w).split(',').filter(Boolean);
+  check(words.length <= MAX_WORDS);
+  for (const word of words) {
+    check(isCustomWord(word) && word.length <= z[0] * z[1]);
+  }
+  puzzle.words = words;
+  if (payload.r !== undefined) {
+    check(typeof payload.r === 'string' && payload.r.length <= DIRECTIONS.length);
+    puzzle.directions = Array.from(payload.r, i => DIRECTION_NAMES[Number(i)]).filter(Boolean);
+  }
+  puzzle.shape = payload.k ?? 'none';
+  check(SHAPES.includes(puzzle.shape));
+  return puzzle;
+}
+
+/**
+ * shareUrl(token, base)
+ * Full link for a token: `base` (usually location.href) without its
+ * hash, plus `#p=<token>`.
+ */
+export function shareUrl(token, base) {
+  return `${base.split('#')[0]}#${HASH_KEY}=${token}`;
+}
+
+/**
+ * tokenFromHash(hash)
+ * Extracts the token from a location.hash like "#p=…", or null.
+ */
+export function tokenFromHash(hash) {
+  const params = new URLSearchParams((hash ?? '').replace(/^#/, ''));
+  return params.get(HASH_KEY) || null;
+}
+
+/**
+ * isCustomWord(word)
+ * True if `word` is usable as a custom word: at least two characters, all
+ * letters (any script), apostrophes or hyphens.
+ */
+export function isCustomWord(word) {
+  return word.length >= 2 && CUSTOM_WORD_RE.test(word);
+}
@@ -0,0 +1,314 @@
+/**
+ * solver.js
+ * Word-search solver and puzzle quality analyzer for FillWrds.
+ *
+ * The solver reads a finished grid the way a player would: every word is
+ * looked up in all 8 straight-line directions, so it also finds accidental
+ * occurrences the generator never placed. The analyzer builds on it to
+ * score a puzzle, letting the generator (and QA scripts) reject weak grids.
+ *
+ * Only straight-line (word-search) grids are supported; fillwords paths
+ * bend and are not searched.
+ *
+ * Exported API:
+ *   findOccurrences(grid, word)               → Occurrence[]
+ *   solveGrid(grid, words)                    → { occurrences, missing, ambiguous }
+ *   analyzePuzzle(grid, words, options)       → { score, metrics, issues }
+ *
+ * All functions are pure (no DOM, no side effects).
+ */
+
+import { DIRECTIONS, DIRECTION_NAMES,
+         BACKWARDS }      from './grid.js';
+import { expletiveRoots } from '../services/profanity-filter.js';
+
+// ── Types (JSDoc) ─────────────────────────────────────────────────────────────
+/**
+ * @typedef {{ row: number, col: number }} Cell
+ *
+ * @typedef {{
+ *   word:      string,
+ *   row:       number,
+ *   col:       number,
+ *   direction: string,
+ *   dr:        number,
+ *   dc:        number,
+ *   cells:     Cell[],
+ * }} Occurrence   — same shape as a grid.js Placement
+ *
+ * @typedef {{
+ *   directionMix:  number,   — 0..1, evenness of use across allowed directions
+ *   overlap:       number,   — 0..1, share of word cells used by 2+ words
+ *   clustering:    number,   — 0..1, 0 = words spread evenly over the grid
+ *   reversedRatio: number,   — 0..1, share of words reading backwards
+ *   fillDensity:   number,   — 0..1, share of playable cells covered by words
+ *   profanity:     Occurrence[],  — expletive roots spelled through filler
+ * }} PuzzleMetrics
+ */
+
+// ── Constants ─────────────────────────────────────────────────────────────────
+
+// Shorter roots ("еб", "ёб") turn up by chance in almost every grid
+const MIN_PROFANITY_LENGTH = 3;
+
+// The grid is split into REGIONS × REGIONS blocks to measure clustering
+const REGIONS = 3;
+
+// Comfortable ranges; metrics outside them cost points
+const DENSITY_RANGE  = [0.3, 0.8];
+const OVERLAP_RANGE  = [0.03, 0.35];
+const REVERSED_RANGE = [0.2, 0.6];
+
+// Score deductions (out of 100)
+const PENALTY = {
+  missing:      25,  // per target word not in the grid at all
+  ambiguous:    10,  // per target word readable in more than one place
+  profanity:    15,  // per expletive spelled through filler
+  directionMix: 20,  // × (1 − directionMix)
+  clustering:   20,  // × clustering
+  density:      15,  // at the far edge of the comfortable range
+  overlap:      10,
+  reversed:     10,
+};
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+const keyOf = ({ row, col }) => `${row},${col}`;
+
+/** True if `word` reads from (row, col) in direction (dr, dc). */
+function readsAt(grid, word, row, col, dr, dc) {
+  for (let i = 0; i < word.length; i++) {
+    const r = row + i * dr;
+    const c = col + i * dc;
+    if (r < 0 || r >= grid.length || c < 0 || c >= grid[r].length) return false;
+    if (grid[r][c] !== word[i]) return false;
+  }
+  return true;
+}
+
+/** Count of playable (non-null) cells. */
+function countPlayable(grid) {
+  return grid.reduce((sum, row) => sum + row.filter(ch => ch !== null).length, 0);
+}
+
+/**
+ * Penalty fraction (0..1) for a value outside [lo, hi]: 0 inside the range,
+ * growing linearly to 1 at 0 (below) or 1 (above).
+ */
+function outsideRange(value, [lo, hi]) {
+  if (value < lo) return lo > 0 ? (lo - value) / lo : 0;
+  if (value > hi) return hi < 1 ? (value - hi) / (1 - hi) : 0;
+  return 0;
+}
+
+/**
+ * Normalised Shannon entropy of `counts`: 1 when all `slots` are used
+ * equally, 0 when everything falls into one.
+ */
+function evenness(counts, slots) {
+  const total = counts.reduce((a, b) => a + b, 0);
+  if (total === 0 || slots < 2) return 1;
+  let h = 0;
+  for (const n of counts) {
+    if (n > 0) h -= (n / total) * Math.log(n / total);
+  }
+  return h / Math.log(slots);
+}
+
+/**
+ * How unevenly word cells are spread over REGIONS × REGIONS blocks, as the
+ * total variation distance between the share of word cells in each block
+ * and the share of playable cells it holds. 0 = perfectly even.
+ */
+function measureClustering(grid, wordCells) {
+  const rows = grid.length;
+  const cols = grid[0]?.length ?? 0;
+  const regionOf = (row, col) =>
+    Math.floor((row * REGIONS) / rows) * REGIONS + Math.floor((col * REGIONS) / cols);
+
+  const playable = new Array(REGIONS * REGIONS).fill(0);
+  const covered  = new Array(REGIONS * REGIONS).fill(0);
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      if (grid[row][col] !== null) playable[regionOf(row, col)]++;
+    }
+  }
+  for (const key of wordCells) {
+    const [row, col] = key.split(',').map(Number);
+    covered[regionOf(row, col)]++;
+  }
+
+  const totalPlayable = playable.reduce((a, b) => a + b, 0);
+  if (wordCells.size === 0 || totalPlayable === 0) return 0;
+
+  let distance = 0;
+  for (let i = 0; i < playable.length; i++) {
+    distance += Math.abs(covered[i] / wordCells.size - playable[i] / totalPlayable);
+  }
+  return distance / 2;
+}
+
+/**
+ * Expletive roots spelled anywhere in the grid that touch at least one
+ * non-word cell — i.e. ones the filler (or a decoy) created by accident.
+ */
+function findProfanity(grid, wordCells, lang) {
+  const hits = [];
+  const roots = [...new Set(expletiveRoots(lang))]
+    .filter(root => root.length >= MIN_PROFANITY_LENGTH);
+  for (const root of roots) {
+    for (const occ of findOccurrences(grid, root)) {
+      if (occ.cells.some(cell => !wordCells.has(keyOf(cell)))) hits.push(occ);
+    }
+  }
+  return hits;
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * findOccurrences(grid, word)
+ * Every straight-line occurrence of `word`, in any of the 8 directions.
+ * A palindrome read both ways over the same cells counts once.
+ * Null (masked) cells never match.
+ *
+ * @param {(string|null)[][]} grid
+ * @param {string}            word
+ * @returns {Occurrence[]}
+ */
+export function findOccurrences(grid, word) {
+  const found = [];
+  const seen  = new Set();
+  if (!word) return found;
+
+  for (let row = 0; row < grid.length; row++) {
+    for (let col = 0; col < grid[row].length; col++) {
+      if (grid[row][col] !== word[0]) continue;
+      for (const [i, [dr, dc]] of DIRECTIONS.entries()) {
+        if (!readsAt(grid, word, row, col, dr, dc)) continue;
+        const cells = Array.from({ length: word.length }, (_, i) => ({
+          row: row + i * dr,
+          col: col + i * dc,
+        }));
+        const key = cells.map(keyOf).sort().join('|');
+        if (seen.has(key)) continue;
+        seen.add(key);
+        found.push({ word, row, col, direction: DIRECTION_NAMES[i], dr, dc, cells });
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * solveGrid(grid, words)
+ * Finds every word in the grid without looking at the generator's placements.
+ *
+ * @param {(string|null)[][]} grid
+ * @param {string[]}          words
+ * @returns {{
+ *   occurrences: Object<string, Occurrence[]>,  — keyed by lowercased word
+ *   missing:     string[],   — words not found at all
+ *   ambiguous:   string[],   — words found more than once
+ * }}
+ */
+export function solveGrid(grid, words) {
+  const occurrences = {};
+  const missing     = [];
+  const ambiguous   = [];
+
+  for (const word of new Set(words.map(w => w.toLowerCase()))) {
+    const found = findOccurrences(grid, word);
+    occurrences[word] = found;
+    if (found.length === 0) missing.push(word);
+    if (found.length > 1)   ambiguous.push(word);
+  }
+  return { occurrences, missing, ambiguous };
+}
+
+/**
+ * analyzePuzzle(grid, words, options)
+ *
+ * Scores a word-search puzzle from 0 (unplayable) to 100.
+ *
+ * Words the player can't find, or can find in two places, cost the most;
+ * so does accidental profanity in the filler. Softer deductions cover a
+ * lopsided direction mix, words bunched into one part of the grid, and
+ * overlap / density / backwards share outside comfortable ranges.
+ *
+ * Word geometry comes from `options.placements` when given (so the score
+ * reflects what the generator intended), otherwise from the first
+ * occurrence the solver finds. `options.directions` lists the directions
+ * the puzzle was allowed to use; the direction mix and backwards share
+ * are judged against it.
+ *
+ * @param {(string|null)[][]} grid
+ * @param {string[]}          words
+ * @param {{
+ *   placements?: Placement[] | null,
+ *   directions?: string[],
+ *   lang?:       string,
+ * }} [options]
+ *
+ * @returns {{
+ *   score:   number,          — 0..100, rounded
+ *   metrics: PuzzleMetrics,
+ *   issues:  { type: 'missing'|'ambiguous'|'profanity', word: string }[],
+ * }}
+ */
+export function analyzePuzzle(grid, words, {
+  placements = null,
+  directions = DIRECTION_NAMES,
+  lang       = 'en',
+} = {}) {
+  const { occurrences, missing, ambiguous } = solveGrid(grid, words);
+
+  const located = placements
+    ?? Object.values(occurrences).filter(list => list.length > 0).map(list => list[0]);
+
+  // Word cells, and how many of them are shared between words
+  const counts = new Map();
+  for (const { cells } of located) {
+    for (const cell of cells) counts.set(keyOf(cell), (counts.get(keyOf(cell)) ?? 0) + 1);
+  }
+  const wordCells = new Set(counts.keys());
+  const shared    = [...counts.values()].filter(n => n > 1).length;
+  const playable  = countPlayable(grid);
+
+  const usedDirections = directions.map(name => located.filter(p => p.direction === name).length);
+  const slots          = Math.min(directions.length, located.length);
+  const canReverse     = directions.some(name => BACKWARDS.has(name));
+
+  const metrics = {
+    directionMix:  evenness(usedDirections, slots),
+    overlap:       wordCells.size > 0 ? shared / wordCells.size : 0,
+    clustering:    measureClustering(grid, wordCells),
+    reversedRatio: located.length > 0
+      ? located.filter(p => BACKWARDS.has(p.direction)).length / located.length
+      : 0,
+    fillDensity:   playable > 0 ? wordCells.size / playable : 0,
+    profanity:     findProfanity(grid, wordCells, lang),
+  };
+
+  const penalty =
+      missing.length            * PENALTY.missing
+    + ambiguous.length          * PENALTY.ambiguous
+    + metrics.profanity.length  * PENALTY.profanity
+    + (1 - metrics.directionMix) * PENALTY.directionMix
+    + metrics.clustering        * PENALTY.clustering
+    + outsideRange(metrics.fillDensity, DENSITY_RANGE) * PENALTY.density
+    + outsideRange(metrics.overlap, OVERLAP_RANGE)     * PENALTY.overlap
+    + (canReverse ? outsideRange(metrics.reversedRatio, REVERSED_RANGE) * PENALTY.reversed : 0);
+
+  const issues = [
+    ...missing.map(word => ({ type: 'missing', word })),
+    ...ambiguous.map(word => ({ type: 'ambiguous', word })),
+    ...metrics.profanity.map(({ word }) => ({ type: 'profanity', word })),
+  ];
+
+  return {
+    score: Math.max(0, Math.round(100 - penalty)),
+    metrics,
+    issues,
+  };
+}
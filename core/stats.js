@@ -0,0 +1,95 @@
+/**
+ * stats.js
+ * Aggregates recorded game results (word-store.js getResults()) into the
+ * numbers the statistics panel shows.
+ *
+ * Exported API:
+ *   summarizeResults(results, options) → StatsSummary
+ *
+ * All functions are pure (no DOM, no side effects).
+ */
+
+import { LEVELS } from './levels.js';
+
+// ── Types (JSDoc) ─────────────────────────────────────────────────────────────
+/**
+ * @typedef {{
+ *   lang:      string,
+ *   level:     string,
+ *   played:    number,
+ *   won:       number,
+ *   bestTime:  number | null,   — seconds, wins only
+ *   avgTime:   number | null,   — seconds, wins only, rounded
+ *   bestScore: number | null,
+ * }} StatsGroup
+ *
+ * @typedef {{
+ *   played:   number,
+ *   won:      number,
+ *   winRate:  number,             — 0..1
+ *   groups:   StatsGroup[],       — one per lang + level played
+ *   timeline: { date: number, elapsed: number, lang: string, level: string }[],
+ *   missed:   { word: string, count: number }[],
+ * }} StatsSummary
+ */
+
+const LEVEL_ORDER = LEVELS.map(l => l.id);
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * summarizeResults(results, options)
+ *
+ * Groups are ordered by language, then by level (easy → hard). The timeline
+ * holds won games oldest first. "Missed" words are the ones left unfound
+ * in abandoned games, most often missed first.
+ *
+ * @param {object[]} results            — records from getResults()
+ * @param {{ topMissed?: number }} [options]
+ * @returns {StatsSummary}
+ */
+export function summarizeResults(results, { topMissed = 10 } = {}) {
+  const groups = new Map();
+  const missed = new Map();
+
+  for (const r of results) {
+    const key = `${r.lang}|${r.level}`;
+    if (!groups.has(key)) {
+      groups.set(key, { lang: r.lang, level: r.level, played: 0, won: 0, times: [], bestScore: null });
+    }
+    const group = groups.get(key);
+    group.played++;
+
+    if (r.won) {
+      group.won++;
+      group.times.push(r.elapsed);
+      group.bestScore = Math.max(group.bestScore ?? 0, r.score ?? 0);
+    }
+    for (const word of r.missed ?? []) missed.set(word, (missed.get(word) ?? 0) + 1);
+  }
+
+  const played = results.length;
+  const won    = results.filter(r => r.won).length;
+
+  return {
+    played,
+    won,
+    winRate: played > 0 ? won / played : 0,
+    groups: [...groups.values()]
+      .sort((a, b) => a.lang.localeCompare(b.lang)
+        || LEVEL_ORDER.indexOf(a.level) - LEVEL_ORDER.indexOf(b.level))
+      .map(({ times, ...group }) => ({
+        ...group,
+        bestTime: times.length > 0 ? Math.min(...times) : null,
+        avgTime:  times.length > 0 ? Math.round(times.reduce((a, b) => a + b, 0) / times.length) : null,
+      })),
+    timeline: results
+      .filter(r => r.won)
+      .sort((a, b) => a.date - b.date)
+      .map(({ date, elapsed, lang, level }) => ({ date, elapsed, lang, level })),
+    missed: [...missed]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, topMissed)
+      .map(([word, count]) => ({ word, count })),
+  };
+}
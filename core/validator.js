@@ -3,9 +3,11 @@
  * Selection checking and win-condition detection for FillWrds.
  *
  * Exported API:
- *   checkSelection(grid, cells, targetWords) → SelectionResult
- *   isGameWon(foundWords, targetWords)       → boolean
- *   normalizeSelection(cells)               → cells | null
+ *   checkSelection(grid, cells, targetWords, options) → SelectionResult
+ *   isGameWon(foundWords, targetWords)                → boolean
+ *   normalizeSelection(cells)                         → cells | null
+ *   normalizePath(cells)                              → cells | null
+ *   matchPlacement(cells, placements)                 → Placement | null
  *
  * All functions are pure (no DOM, no side effects).
  */
@@ -95,31 +97,98 @@ export function normalizeSelection(cells) {
 }
 
 /**
- * checkSelection(grid, cells, targetWords)
+ * normalizePath(cells)
+ *
+ * Fillwords counterpart of normalizeSelection(): the selection may bend,
+ * but every step must move to an orthogonally adjacent cell and no cell
+ * may be visited twice.
+ * Returns the cells array if valid, null otherwise.
+ *
+ * @param {Cell[]} cells
+ * @returns {Cell[] | null}
+ */
+export function normalizePath(cells) {
+  if (!cells || cells.length === 0) return null;
+
+  const deduped = cells.filter(
+    (c, i) => i === 0 || c.row !== cells[i - 1].row || c.col !== cells[i - 1].col
+  );
+
+  const seen = new Set();
+  for (let i = 0; i < deduped.length; i++) {
+    const { row, col } = deduped[i];
+    const key = `${row},${col}`;
+    if (seen.has(key)) return null;
+    seen.add(key);
+
+    if (i > 0) {
+      const prev = deduped[i - 1];
+      if (Math.abs(row - prev.row) + Math.abs(col - prev.col) !== 1) return null;
+    }
+  }
+
+  return deduped;
+}
+
+/**
+ * matchPlacement(cells, placements)
+ *
+ * Returns the placement whose cells are exactly `cells`, selected from
+ * either end, or null. Used to accept only the recorded position of a
+ * word rather than any run of cells that happens to spell it.
+ *
+ * @param {Cell[]}      cells
+ * @param {Placement[]} placements
+ * @returns {Placement | null}
+ */
+export function matchPlacement(cells, placements) {
+  const key = list => list.map(({ row, col }) => `${row},${col}`).join('|');
+  const forward  = key(cells);
+  const backward = key([...cells].reverse());
+  return placements.find(p => {
+    if (p.cells.length !== cells.length) return false;
+    const k = key(p.cells);
+    return k === forward || k === backward;
+  }) ?? null;
+}
+
+/**
+ * checkSelection(grid, cells, targetWords, options)
  *
  * Given a player's cell selection, determine:
- *   - whether the cells form a straight line (valid)
+ *   - whether the cells form a straight line (valid) — or, in fillwords
+ *     mode, an orthogonally connected path
  *   - whether the resulting string matches a target word (or its reverse)
  *
  * Words placed in "left" or "up" directions read right-to-left/bottom-to-top,
  * so we check both the forward and reversed string against targetWords.
  *
+ * When `options.placements` is given, a selection only counts if it covers
+ * a recorded placement exactly — an accidental second spelling elsewhere in
+ * the grid is treated as a miss.
+ *
  * @param {string[][]} grid         — 2D char grid from generateGrid()
  * @param {Cell[]}     cells        — ordered list of selected cells
  * @param {string[]}   targetWords  — words to find (lowercase)
+ * @param {{
+ *   mode?:       'wordsearch'|'fillwords',
+ *   placements?: Placement[],
+ * }} [options]
  *
  * @returns {SelectionResult}
  */
-export function checkSelection(grid, cells, targetWords) {
+export function checkSelection(grid, cells, targetWords, { mode = 'wordsearch', placements = null } = {}) {
   const EMPTY = { valid: false, found: false, word: null, direction: null, startCell: null, cells: [] };
 
-  const normalized = normalizeSelection(cells);
+  const normalized = mode === 'fillwords' ? normalizePath(cells) : normalizeSelection(cells);
   if (!normalized) return EMPTY;
 
-  // Bounds check every cell
-  const size = grid.length;
+  // Bounds check every cell; masked cells (null) can't be part of a word
+  const rows = grid.length;
+  const cols = grid[0]?.length ?? 0;
   for (const { row, col } of normalized) {
-    if (row < 0 || row >= size || col < 0 || col >= size) return EMPTY;
+    if (row < 0 || row >= rows || col < 0 || col >= cols) return EMPTY;
+    if (grid[row][col] === null) return EMPTY;
   }
 
   // Build the string from selected cells
@@ -140,6 +209,16 @@ export function checkSelection(grid, cells, targetWords) {
     matchedCells = [...normalized].reverse();
   }
 
+  if (matchedWord && placements) {
+    const placement = matchPlacement(normalized, placements);
+    if (placement && targetSet.has(placement.word)) {
+      matchedWord  = placement.word;
+      matchedCells = placement.cells;
+    } else {
+      matchedWord = null;
+    }
+  }
+
   if (!matchedWord) {
     return { valid: true, found: false, word: null, direction: null, startCell: null, cells: normalized };
   }
@@ -149,7 +228,7 @@ export function checkSelection(grid, cells, targetWords) {
     valid:     true,
     found:     true,
     word:      matchedWord,
-    direction: lineDir?.dirName ?? null,
+    direction: mode === 'fillwords' ? 'path' : (lineDir?.dirName ?? null),
     startCell: matchedCells[0],
     cells:     matchedCells,
   };
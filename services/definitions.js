@@ -0,0 +1,224 @@
+/**
+ * definitions.js
+ * Short meanings for puzzle words, looked up on Wiktionary and kept in the
+ * word-store `definitions` store so they stay readable offline.
+ *
+ * Sources:
+ *   gloss       — en:         first English definition on en.wiktionary.org
+ *                 ru, be, uk: first meaning ("Значение" / "Значэнне" /
+ *                             "Значення") on the language's own Wiktionary
+ *   translation — ru, be, uk: first definition of the word's entry on
+ *                             en.wiktionary.org, which is an English gloss
+ *
+ * A word Wiktionary has nothing for is stored too, so it isn't asked for
+ * again on every tap; it is retried after MISSING_RETRY_MS. Network
+ * failures are never stored. While the browser is offline only stored
+ * definitions are returned.
+ *
+ * Exported API:
+ *   getDefinition(lang, word)   → Promise<Definition|null>
+ *   getDefinitions(lang, words) → Promise<Map<string, Definition>>
+ *                                 (only words with a gloss or translation)
+ *   hasMeaning(definition)      → boolean
+ */
+
+import { getDefinition as getStoredDefinition,
+         saveDefinition }         from './word-store.js';
+
+// ── Types (JSDoc) ─────────────────────────────────────────────────────────────
+/**
+ * @typedef {{
+ *   lang:        string,
+ *   word:        string,
+ *   gloss:       string|null,  — short meaning in the word's own language
+ *   translation: string|null,  — English gloss (ru, be, uk only)
+ *   fetchedAt:   number,
+ * }} Definition
+ */
+
+// ── Config ────────────────────────────────────────────────────────────────────
+
+// Section holding the numbered meanings on each language's own Wiktionary
+const MEANING_HEADINGS = {
+  ru: 'Значение',
+  be: 'Значэнне',
+  uk: 'Значення',
+};
+
+const GLOSS_MAX_LENGTH = 140;
+const MISSING_RETRY_MS = 7 * 24 * 60 * 60 * 1000;  // one week
+const CONCURRENCY      = 3;                          // lookups in flight for getDefinitions()
+
+// lang|word → in-flight lookup, so repeated taps share one request
+const pending = new Map();
+
+// ── Text helpers ──────────────────────────────────────────────────────────────
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' };
+
+/** HTML fragment → plain text. */
+function stripHtml(html) {
+  return html
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (_, name) => ENTITIES[name]);
+}
+
+/** One line of wikitext → plain text: templates, refs and markup dropped, links unwrapped. */
+function stripWikitext(line) {
+  let text = line.replace(/<ref[^>]*\/>|<ref[^>]*>[\s\S]*?<\/ref>/g, '');
+  // Templates nest, so peel them from the inside out
+  for (let prev = null; prev !== text;) {
+    prev = text;
+    text = text.replace(/\{\{[^{}]*\}\}/g, '');
+  }
+  return stripHtml(text)
+    .replace(/\[\[(?:[^|\]]*\|)?([^\]]*)\]\]/g, '$1')
+    .replace(/'{2,}/g, '');
+}
+
+/** Collapse whitespace, trim stray punctuation and cap the length. */
+function tidy(text) {
+  const clean = text.replace(/\s+/g, ' ').replace(/^[\s,;:.]+|[\s,;:]+$/g, '');
+  if (!clean) return null;
+  return clean.length > GLOSS_MAX_LENGTH ? `${clean.slice(0, GLOSS_MAX_LENGTH - 1).trimEnd()}…` : clean;
+}
+
+// ── Wiktionary adapters ───────────────────────────────────────────────────────
+
+/**
+ * First definition of `word` per language on en.wiktionary.org, as
+ * { <lang>: text }. A word with no page yields {}.
+ */
+async function fetchEnglishEntries(word) {
+  const url = `https://en.wiktionary.org/api/rest_v1/page/definition/${encodeURIComponent(word)}`;
+  const res = await fetch(url);
+  if (res.status === 404) return {};
+  if (!res.ok) throw new Error(`[definitions] Wiktionary HTTP ${res.status}`);
+  const data = await res.json();
+
+  const entries = {};
+  for (const [lang, usages] of Object.entries(data ?? {})) {
+    const texts = (Array.isArray(usages) ? usages : [])
+      .flatMap(u => u.definitions ?? [])
+      .map(d => tidy(stripHtml(d.definition ?? '')));
+    const first = texts.find(Boolean);
+    if (first) entries[lang] = first;
+  }
+  return entries;
+}
+
+/**
+ * First meaning of `word` on its own language's Wiktionary, or null if
+ * the page or its meaning section is missing.
+ */
+async function fetchNativeGloss(lang, word) {
+  const params = new URLSearchParams({
+    action:        'parse',
+    page:          word,
+    prop:          'wikitext',
+    redirects:     '1',
+    formatversion: '2',
+    format:        'json',
+    origin:        '*',           // required for browser CORS
+  });
+  const res = await fetch(`https://${lang}.wiktionary.org/w/api.php?${params}`);
+  if (!res.ok) throw new Error(`[definitions] Wiktionary (${lang}) HTTP ${res.status}`);
+  const data = await res.json();
+  if (data?.error?.code === 'missingtitle') return null;
+
+  const lines   = String(data?.parse?.wikitext ?? '').split('\n');
+  const heading = new RegExp(`^=+\\s*${MEANING_HEADINGS[lang]}\\s*=+\\s*$`);
+  const start   = lines.findIndex(line => heading.test(line));
+  if (start === -1) return null;
+
+  for (const line of lines.slice(start + 1)) {
+    if (line.startsWith('=')) break;
+    // "# meaning"; "#:" / "#*" lines are examples and quotations
+    const meaning = /^#(?![:*#])(.*)$/.exec(line);
+    const text    = meaning && tidy(stripWikitext(meaning[1]));
+    if (text) return text;
+  }
+  return null;
+}
+
+/** Look `word` up on Wiktionary. Throws on network / HTTP failures. */
+async function fetchDefinition(lang, word) {
+  const native = MEANING_HEADINGS[lang];
+  const [english, gloss] = await Promise.all([
+    fetchEnglishEntries(word),
+    native ? fetchNativeGloss(lang, word) : null,
+  ]);
+
+  return {
+    lang,
+    word,
+    gloss:       native ? gloss : (english.en ?? null),
+    translation: native ? (english[lang] ?? null) : null,
+    fetchedAt:   Date.now(),
+  };
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/** True if a definition has anything to show. */
+export function hasMeaning(definition) {
+  return !!(definition?.gloss || definition?.translation);
+}
+
+/**
+ * getDefinition(lang, word)
+ * The word's definition: from the store when it has one, otherwise from
+ * Wiktionary (and then stored). Resolves null when there is nothing to
+ * show — offline without a stored definition, a failed lookup, or a word
+ * Wiktionary doesn't know. Never rejects.
+ *
+ * @param {string} lang
+ * @param {string} word
+ * @returns {Promise<Definition|null>}
+ */
+export async function getDefinition(lang, word) {
+  const lower = word.toLowerCase();
+  const key   = `${lang}|${lower}`;
+  if (pending.has(key)) return pending.get(key);
+
+  const lookup = (async () => {
+    const stored = await getStoredDefinition(lang, lower).catch(() => null);
+    const fresh  = stored && (hasMeaning(stored) || Date.now() - stored.fetchedAt < MISSING_RETRY_MS);
+    if (fresh || navigator.onLine === false) return hasMeaning(stored) ? stored : null;
+
+    try {
+      const definition = await fetchDefinition(lang, lower);
+      saveDefinition(definition).catch(err => console.warn('[definitions] Could not store definition:', err.message));
+      return hasMeaning(definition) ? definition : null;
+    } catch (err) {
+      console.warn('[definitions] Lookup failed:', lang, lower, err.message);
+      return hasMeaning(stored) ? stored : null;
+    }
+  })().finally(() => pending.delete(key));
+
+  pending.set(key, lookup);
+  return lookup;
+}
+
+/**
+ * getDefinitions(lang, words)
+ * Definitions for several words, CONCURRENCY lookups at a time. Words
+ * without a meaning are left out of the map. Never rejects.
+ *
+ * @param {string}   lang
+ * @param {string[]} words
+ * @returns {Promise<Map<string, Definition>>}
+ */
+export async function getDefinitions(lang, words) {
+  const queue  = [...new Set(words.map(w => w.toLowerCase()))];
+  const found  = new Map();
+  const worker = async () => {
+    while (queue.length > 0) {
+      const word       = queue.shift();
+      const definition = await getDefinition(lang, word);
+      if (definition) found.set(word, definition);
+    }
+  };
+  await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+  return found;
+}
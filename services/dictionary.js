@@ -0,0 +1,157 @@
+/**
+ * dictionary.js
+ * Bundled word lists shipped with the app (data/words/<lang>.json).
+ *
+ * Unlike word-api.js these never change between players, so anything that
+ * must be identical for everyone — the daily puzzle — draws from here.
+ * The files are static assets, so they keep working offline once the app
+ * itself is loaded. They are also the offline safety net: they seed the
+ * word-store cache on first run, and are the last resort when fetching
+ * fails and the cache has nothing left.
+ *
+ * Files are loaded lazily, one language at a time. On load every level is
+ * cleaned the same way fetched words are: lowercased, trimmed to the
+ * level's LEVEL_CONFIG length band and passed through filterExpletives().
+ *
+ * File format:
+ *   { version: number, lang: string, levels: { easy: string[], medium: string[], hard: string[] } }
+ * Bump `version` whenever a list changes, so existing caches are re-seeded.
+ *
+ * Themed lists (data/categories/<lang>.json, English only — the other
+ * languages use Wiktionary's topical categories) hold one unsorted list
+ * per category and are split into levels by length band on load:
+ *   { version: number, lang: string, categories: { <category id>: string[] } }
+ * They are served through word-api.js as the 'bundled-topics' provider.
+ *
+ * Exported API:
+ *   loadDictionary(lang)                   → Promise<{ version, lang, levels }>
+ *   loadCategoryLists(lang)                → Promise<{ version, lang, categories }>
+ *   getBundledWords(lang, level, category) → Promise<string[]>
+ *   seedWordStore(lang, level)             → Promise<boolean>  (true if it seeded)
+ */
+
+import { LEVEL_CONFIG,
+         registerProvider }    from './word-api.js';
+import { filterExpletives }    from './profanity-filter.js';
+import { addWords, getSeededVersion,
+         saveSeededVersion }   from './word-store.js';
+import { CATEGORIES,
+         DEFAULT_CATEGORY }    from '../core/categories.js';
+
+// Languages that ship themed lists in data/categories
+const CATEGORY_LANGS = ['en'];
+
+// Loaded files, keyed by path (the promise, so concurrent calls share one fetch)
+const _cache = new Map();
+
+/** Fetch and cache a JSON file under data/, checked by `validate`. */
+function loadJson(path, validate) {
+  if (_cache.has(path)) return _cache.get(path);
+
+  const url = new URL(`../data/${path}`, import.meta.url);
+  const promise = fetch(url)
+    .then(res => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.json();
+    })
+    .then(validate)
+    .catch(err => {
+      _cache.delete(path); // let a later call retry
+      throw new Error(`[dictionary] Could not load "${path}": ${err.message}`);
+    });
+
+  _cache.set(path, promise);
+  return promise;
+}
+
+/**
+ * loadDictionary(lang)
+ * Fetches and caches the bundled dictionary for a language.
+ * Rejects if the file is missing or malformed.
+ */
+export function loadDictionary(lang) {
+  return loadJson(`words/${lang}.json`, dict => {
+    if (!dict || typeof dict.levels !== 'object') {
+      throw new Error(`Malformed dictionary for "${lang}"`);
+    }
+    return { ...dict, levels: cleanLevels(dict.levels, lang) };
+  });
+}
+
+/**
+ * loadCategoryLists(lang)
+ * Fetches and caches the themed lists for a language, each split into
+ * { easy, medium, hard } by length band. Rejects for languages without
+ * bundled themed lists.
+ */
+export function loadCategoryLists(lang) {
+  if (!CATEGORY_LANGS.includes(lang)) {
+    return Promise.reject(new Error(`[dictionary] No themed lists for "${lang}"`));
+  }
+  return loadJson(`categories/${lang}.json`, file => {
+    if (!file || typeof file.categories !== 'object') {
+      throw new Error(`Malformed themed lists for "${lang}"`);
+    }
+    const categories = {};
+    for (const [id, words] of Object.entries(file.categories)) {
+      const byLevel = Object.fromEntries(Object.keys(LEVEL_CONFIG).map(level => [level, words]));
+      categories[id] = cleanLevels(byLevel, lang);
+    }
+    return { ...file, categories };
+  });
+}
+
+/** Each level's words lowercased, within its length band and expletive-free. */
+function cleanLevels(levels, lang) {
+  const cleaned = {};
+  for (const [level, words] of Object.entries(levels)) {
+    const band  = LEVEL_CONFIG[level];
+    const valid = (Array.isArray(words) ? words : [])
+      .filter(w => typeof w === 'string')
+      .map(w => w.trim().toLowerCase())
+      .filter(w => !band || (w.length >= band.min && w.length <= band.max));
+    cleaned[level] = filterExpletives([...new Set(valid)], lang);
+  }
+  return cleaned;
+}
+
+/**
+ * getBundledWords(lang, level, category)
+ * The bundled words for a language, level and category (empty if there
+ * are none — e.g. a themed category in a language without themed lists).
+ */
+export async function getBundledWords(lang, level, category = DEFAULT_CATEGORY) {
+  if (category === DEFAULT_CATEGORY) {
+    const dict = await loadDictionary(lang);
+    return dict.levels[level] ?? [];
+  }
+  if (!CATEGORY_LANGS.includes(lang)) return [];
+  const lists = await loadCategoryLists(lang);
+  return lists.categories[category]?.[level] ?? [];
+}
+
+/**
+ * seedWordStore(lang, level)
+ * Copies the bundled words for a language and level into the word-store
+ * cache, unless this dictionary version is already there. Runs on first
+ * play of each lang+level and again whenever a list's version is bumped.
+ */
+export async function seedWordStore(lang, level) {
+  const dict = await loadDictionary(lang);
+  if (await getSeededVersion(lang, level) === dict.version) return false;
+
+  await addWords(lang, level, dict.levels[level] ?? []);
+  await saveSeededVersion(lang, level, dict.version);
+  return true;
+}
+
+// ── Word provider ─────────────────────────────────────────────────────────────
+
+// The themed lists are the English source for every category but the default
+registerProvider({
+  id:         'bundled-topics',
+  languages:  CATEGORY_LANGS,
+  categories: CATEGORIES.map(c => c.id).filter(id => id !== DEFAULT_CATEGORY),
+  priority:   20,
+  fetch:      (lang, level, count, { category }) => getBundledWords(lang, level, category),
+});
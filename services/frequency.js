@@ -0,0 +1,86 @@
+/**
+ * frequency.js
+ * Commonness ranks for words, from the bundled frequency lists
+ * (data/frequency/<lang>.json).
+ *
+ * A list holds a language's most common lemmas, most common first: general
+ * vocabulary in corpus-frequency order, followed by everyday concrete nouns
+ * (animals, food, home, nature) that puzzles lean on. A word's rank is its
+ * 1-based position in the list; words that aren't listed are unranked
+ * (null) and count as rarer than every listed word. Ranks are approximate —
+ * they only need to tell "cat" from "caracal", not rank 812 from 813.
+ *
+ * word-store.js stores each cached word's rank, and core/levels.js gives
+ * every level a band of the list (a slice by fraction of its length) next
+ * to its length band.
+ *
+ * File format:
+ *   { version: number, lang: string, words: string[] }
+ * Bump `version` whenever a list changes, so stored ranks are recomputed.
+ *
+ * Exported API:
+ *   loadFrequency(lang) → Promise<FrequencyList>
+ *                         (an empty list for languages without one)
+ */
+
+// ── Types (JSDoc) ─────────────────────────────────────────────────────────────
+/**
+ * @typedef {{
+ *   version: number,                 — 0 for the empty list
+ *   lang:    string,
+ *   size:    number,                 — words in the list (0 when empty)
+ *   rankOf(word: string): number|null,
+ * }} FrequencyList
+ */
+
+// lang → loaded list (the promise, so concurrent calls share one fetch)
+const _cache = new Map();
+
+/** A list without ranks: every word is unranked. */
+function emptyList(lang) {
+  return { version: 0, lang, size: 0, rankOf: () => null };
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * loadFrequency(lang)
+ * Fetches and caches the frequency list for a language. Never rejects:
+ * a missing or malformed file gives an empty list (and is retried on the
+ * next call), so ranking degrades to "everything unranked".
+ *
+ * @param {string} lang
+ * @returns {Promise<FrequencyList>}
+ */
+export function loadFrequency(lang) {
+  if (_cache.has(lang)) return _cache.get(lang);
+
+  const url = new URL(`../data/frequency/${lang}.json`, import.meta.url);
+  const promise = fetch(url)
+    .then(res => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.json();
+    })
+    .then(file => {
+      if (!file || !Array.isArray(file.words)) throw new Error('malformed list');
+      const ranks = new Map();
+      file.words.forEach((word, i) => {
+        const lower = String(word).toLowerCase();
+        if (!ranks.has(lower)) ranks.set(lower, i + 1);
+      });
+      return {
+        version: file.version ?? 1,
+        lang,
+        size:    file.words.length,
+        rankOf:  word => ranks.get(word.toLowerCase()) ?? null,
+      };
+    })
+    .catch(err => {
+      _cache.delete(lang); // let a later call retry
+      console.warn(`[frequency] No frequency list for "${lang}":`, err.message);
+      return emptyList(lang);
+    });
+
+  _cache.set(lang, promise);
+  return promise;
+}
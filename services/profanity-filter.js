@@ -61,6 +61,16 @@ export function isExpletive(word, lang) {
   return roots.some(root => w.startsWith(root));
 }
 
+/**
+ * Returns the blocklist roots for a language (empty for unknown languages).
+ * Used by the puzzle analyzer to spot expletives spelled by filler letters.
+ * @param {string} lang
+ * @returns {string[]}
+ */
+export function expletiveRoots(lang) {
+  return ROOTS[lang] ?? [];
+}
+
 /**
  * Filters an array of words, removing expletives.
  * @param {string[]} words
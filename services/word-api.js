@@ -1,22 +1,47 @@
 /**
  * word-api.js
- * Fetch words from open public APIs per language, filtered by difficulty level.
+ * Fetch words per language and difficulty level from a registry of word
+ * providers.
  *
- * Supported languages:
- *   en — English   → random-word-api.vercel.app (primary) / herokuapp (fallback)
- *   ru — Russian   → en.wiktionary.org categorymembers (Russian_lemmas)
- *   be — Belarusian→ en.wiktionary.org categorymembers (Belarusian_lemmas)
- *   uk — Ukrainian → en.wiktionary.org categorymembers (Ukrainian_lemmas)
+ * Built-in providers:
+ *   vercel     (en)        → random-word-api.vercel.app
+ *   heroku     (en)        → random-word-api.herokuapp.com (fallback)
+ *   wiktionary (ru, be, uk) → en.wiktionary.org categorymembers: *_lemmas,
+ *                             or a topical category such as ru:Animals
+ * (dictionary.js adds a provider for the bundled English topical lists.)
+ *
+ * A provider declares the languages, levels and word categories
+ * (core/categories.js) it serves, a priority and an optional rate limit,
+ * plus the fetch function itself. fetchWords()
+ * asks the matching providers in priority order and merges their words
+ * until it has enough, so a new source (a local JSON dictionary, a company
+ * glossary, …) is just another registerProvider() call:
+ *
+ *   registerProvider({
+ *     id: 'glossary', languages: ['en'], priority: 30,
+ *     fetch: async (lang, level, count, { min, max, category }) => loadGlossary(min, max),
+ *   });
  *
  * Level → word-length mapping:
  *   easy:   3–5 characters
  *   medium: 5–8 characters
  *   hard:   8–15 characters
+ *
+ * Exported API:
+ *   LEVEL_CONFIG
+ *   fetchWords(lang, level, count, category)  → Promise<string[]>
+ *   registerProvider(provider)      → unregister function
+ *   unregisterProvider(id)
+ *   providersFor(lang, level, category) → WordProvider[] in the order they're asked
+ *   supportedLanguages()            → string[]
  */
 
 // ── Config ────────────────────────────────────────────────────────────────────
 
 import { filterExpletives } from './profanity-filter.js';
+import { shuffle }          from '../core/random.js';
+import { DEFAULT_CATEGORY,
+         wiktionaryCategory } from '../core/categories.js';
 
 export const LEVEL_CONFIG = {
   easy:   { min: 3, max: 5  },
@@ -42,6 +67,15 @@ const WIKT_START_LETTERS = {
 // Cyrillic block — covers ru, be, uk alphabets
 const CYRILLIC_RE = /^[\u0400-\u04FF]+$/;
 const LATIN_RE    = /^[a-z]+$/;
+const LETTERS_RE  = /^\p{L}+$/u;
+
+// Expected script per language; other languages accept any letters
+const LANG_SCRIPTS = {
+  en: 'latin',
+  ru: 'cyrillic',
+  be: 'cyrillic',
+  uk: 'cyrillic',
+};
 
 const MAX_RETRIES     = 3;
 const RETRY_BASE_MS   = 500;
@@ -50,16 +84,6 @@ const WIKT_MAX_PAGES  = 4;     // cap API calls per fetch
 
 // ── Utilities ─────────────────────────────────────────────────────────────────
 
-/** Fisher-Yates shuffle (returns new array). */
-function shuffle(arr) {
-  const a = [...arr];
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
-  }
-  return a;
-}
-
 /** Retry an async fn up to `retries` times with exponential back-off. */
 async function withRetry(fn, retries = MAX_RETRIES) {
   let lastErr;
@@ -85,7 +109,9 @@ function isValidWord(word, min, max, script = 'latin') {
   if (typeof word !== 'string') return false;
   const w = word.trim().toLowerCase();
   if (w.length < min || w.length > max) return false;
-  const re = script === 'cyrillic' ? CYRILLIC_RE : LATIN_RE;
+  const re = script === 'cyrillic' ? CYRILLIC_RE
+           : script === 'latin'    ? LATIN_RE
+           : LETTERS_RE;
   return re.test(w);
 }
 
@@ -113,8 +139,12 @@ async function fetchFromHeroku(length, n) {
   return Array.isArray(data) ? data : [];
 }
 
-async function fetchEnglishWords(level, count) {
-  const { min, max } = LEVEL_CONFIG[level];
+/**
+ * Sample `source(length, n)` across every length in [min, max] until about
+ * twice `count` valid words are collected. Lengths where the API fails are
+ * skipped.
+ */
+async function fetchEnglishWords(source, count, { min, max }) {
   const results = new Set();
 
   // Build a list of lengths to sample, shuffled for variety
@@ -130,14 +160,10 @@ async function fetchEnglishWords(level, count) {
 
     let words = [];
     try {
-      words = await withRetry(() => fetchFromVercel(length, perLength));
+      words = await withRetry(() => source(length, perLength));
     } catch {
-      try {
-        words = await withRetry(() => fetchFromHeroku(length, perLength));
-      } catch {
-        // Skip this length if both APIs fail
-        continue;
-      }
+      // Skip this length if the API fails; the next provider fills the gap
+      continue;
     }
 
     for (const w of words) {
@@ -145,11 +171,7 @@ async function fetchEnglishWords(level, count) {
     }
   }
 
-  if (results.size === 0) {
-    throw new Error(`[word-api] Could not fetch English words for level "${level}"`);
-  }
-
-  return shuffle(filterExpletives([...results], 'en')).slice(0, count);
+  return [...results];
 }
 
 // ── Wiktionary adapter (ru, be, uk) ────────────────────────────────────────────
@@ -182,9 +204,9 @@ async function fetchWiktionaryPage(category, cmcontinue, startLetter = null) {
   return { members, next };
 }
 
-async function fetchWiktionaryWords(lang, level, count) {
-  const { min, max } = LEVEL_CONFIG[level];
-  const category = WIKTIONARY_CATEGORIES[lang];
+async function fetchWiktionaryWords(lang, count, { min, max, category: topic }) {
+  // Topical categories (ru:Animals, …) for themed puzzles, else all lemmas
+  const category = wiktionaryCategory(lang, topic) ?? WIKTIONARY_CATEGORIES[lang];
   const results  = new Set();
   let cmcontinue = null;
 
@@ -210,46 +232,179 @@ async function fetchWiktionaryWords(lang, level, count) {
     if (!cmcontinue || results.size >= count * 2) break;
   }
 
-  if (results.size === 0) {
-    throw new Error(`[word-api] Could not fetch ${lang} words for level "${level}"`);
+  return [...results];
+}
+
+// ── Provider registry ─────────────────────────────────────────────────────────
+
+/**
+ * @typedef {{
+ *   id:         string,
+ *   languages:  string[] | '*',         — '*' serves every language
+ *   levels?:    string[],               — default: every level
+ *   categories?: string[] | '*',        — default: only DEFAULT_CATEGORY
+ *   priority?:  number,                 — higher is asked first (default 0)
+ *   rateLimit?: { requests: number, perMs: number },
+ *                                       — at most `requests` fetches per window;
+ *                                         over the limit the provider is skipped
+ *   fetch(lang, level, count, options): Promise<string[]>
+ *                                       — options: LEVEL_CONFIG[level] ({ min, max })
+ *                                         plus the requested `category`; words are
+ *                                         validated and filtered afterwards
+ * }} WordProvider
+ */
+
+/** @type {Map<string, WordProvider>} id → provider, in registration order */
+const providers = new Map();
+
+/** id → timestamps of recent fetches (for rate limits) */
+const recentCalls = new Map();
+
+/** Claim a fetch slot for `provider`; false if it is over its rate limit. */
+function takeRateSlot(provider, now = Date.now()) {
+  if (!provider.rateLimit) return true;
+  const { requests, perMs } = provider.rateLimit;
+  const calls = (recentCalls.get(provider.id) ?? []).filter(at => now - at < perMs);
+  if (calls.length >= requests) {
+    recentCalls.set(provider.id, calls);
+    return false;
   }
+  recentCalls.set(provider.id, [...calls, now]);
+  return true;
+}
 
-  return shuffle(filterExpletives([...results], lang)).slice(0, count);
+/**
+ * registerProvider(provider)
+ * Add a word source (replacing any provider with the same id).
+ * Returns a function that removes it again.
+ *
+ * @param {WordProvider} provider
+ * @returns {() => void}
+ */
+export function registerProvider(provider) {
+  if (!provider?.id || typeof provider.fetch !== 'function') {
+    throw new Error('[word-api] A provider needs an id and a fetch function');
+  }
+  if (provider.languages !== '*' && !Array.isArray(provider.languages)) {
+    throw new Error(`[word-api] Provider "${provider.id}" must list its languages (or '*')`);
+  }
+  providers.delete(provider.id);
+  providers.set(provider.id, provider);
+  return () => unregisterProvider(provider.id);
+}
+
+/** unregisterProvider(id) — remove a provider; unknown ids are ignored. */
+export function unregisterProvider(id) {
+  providers.delete(id);
+  recentCalls.delete(id);
+}
+
+/**
+ * providersFor(lang, level, category)
+ * Providers serving `lang` + `level` + `category`, highest priority first
+ * (registration order breaks ties).
+ *
+ * @returns {WordProvider[]}
+ */
+export function providersFor(lang, level, category = DEFAULT_CATEGORY) {
+  const serves = (list, value) => list === '*' || list.includes(value);
+  return [...providers.values()]
+    .filter(p => serves(p.languages, lang)
+              && (!p.levels || p.levels.includes(level))
+              && serves(p.categories ?? [DEFAULT_CATEGORY], category))
+    .sort((a, b) => (b.priority ?? 0) - (a.priority ?? 0));
 }
 
+// ── Built-in providers ────────────────────────────────────────────────────────
+
+registerProvider({
+  id:        'vercel',
+  languages: ['en'],
+  priority:  20,
+  fetch:     (lang, level, count, range) => fetchEnglishWords(fetchFromVercel, count, range),
+});
+
+registerProvider({
+  id:        'heroku',
+  languages: ['en'],
+  priority:  10,
+  fetch:     (lang, level, count, range) => fetchEnglishWords(fetchFromHeroku, count, range),
+});
+
+registerProvider({
+  id:         'wiktionary',
+  languages:  Object.keys(WIKTIONARY_CATEGORIES),
+  categories: '*',
+  priority:   10,
+  // Each fetch pages through up to WIKT_MAX_PAGES requests; stay polite
+  rateLimit:  { requests: 10, perMs: 60_000 },
+  fetch:      (lang, level, count, options) => fetchWiktionaryWords(lang, count, options),
+});
+
 // ── Public API ────────────────────────────────────────────────────────────────
 
 /**
- * fetchWords(lang, level, count)
+ * fetchWords(lang, level, count, category)
  *
- * Fetches `count` words for the given language and difficulty level.
- * Throws if all API attempts fail (caller should fall back to word-store cache).
+ * Fetches `count` words for the given language, difficulty level and word
+ * category (core/categories.js), asking
+ * providers in priority order and merging their words until there are
+ * enough. A provider that fails or is over its rate limit is skipped.
+ * Throws if no provider serves the language, or none returned any words
+ * (caller should fall back to word-store cache).
  *
  * @param {string} lang   — 'en' | 'ru' | 'be' | 'uk'
  * @param {string} level  — 'easy' | 'medium' | 'hard'
  * @param {number} count  — how many words to return
+ * @param {string} [category] — category id (default: DEFAULT_CATEGORY)
  * @returns {Promise<string[]>}
  */
-export async function fetchWords(lang, level, count) {
+export async function fetchWords(lang, level, count, category = DEFAULT_CATEGORY) {
   if (!LEVEL_CONFIG[level]) {
     throw new Error(`[word-api] Unknown level: "${level}"`);
   }
 
-  if (lang === 'en') {
-    return fetchEnglishWords(level, count);
+  const candidates = providersFor(lang, level, category);
+  if (candidates.length === 0) {
+    throw new Error(`[word-api] No word provider for "${lang}" / "${category}"`);
+  }
+
+  const options = { ...LEVEL_CONFIG[level], category };
+  const script  = LANG_SCRIPTS[lang] ?? 'any';
+  const merged  = new Set();
+
+  for (const provider of candidates) {
+    if (merged.size >= count) break;
+    if (!takeRateSlot(provider)) {
+      console.info(`[word-api] Provider "${provider.id}" is rate limited, skipping`);
+      continue;
+    }
+
+    try {
+      const words = await provider.fetch(lang, level, count - merged.size, options);
+      const valid = (words ?? []).filter(w => isValidWord(w, options.min, options.max, script));
+      for (const w of filterExpletives(valid.map(w => w.trim().toLowerCase()), lang)) merged.add(w);
+    } catch (err) {
+      console.warn(`[word-api] Provider "${provider.id}" failed:`, err.message);
+    }
   }
 
-  if (WIKTIONARY_CATEGORIES[lang]) {
-    return fetchWiktionaryWords(lang, level, count);
+  if (merged.size === 0) {
+    throw new Error(`[word-api] Could not fetch ${lang} "${category}" words for level "${level}"`);
   }
 
-  throw new Error(`[word-api] Unsupported language: "${lang}"`);
+  return shuffle([...merged]).slice(0, count);
 }
 
 /**
  * supportedLanguages()
- * Returns the list of language codes this module supports.
+ * Returns the language codes named by registered providers (providers
+ * serving '*' add none of their own).
  */
 export function supportedLanguages() {
-  return ['en', 'ru', 'be', 'uk'];
+  const langs = new Set();
+  for (const p of providers.values()) {
+    if (Array.isArray(p.languages)) p.languages.forEach(l => langs.add(l));
+  }
+  return [...langs];
 }
@@ -1,16 +1,44 @@
 /**
  * word-store.js
- * IndexedDB-backed word cache with per-language/level deduplication.
+ * IndexedDB-backed word cache with per-language/level/category deduplication.
  *
- * DB: fillwrds-db  (version 1)
+ * DB: fillwrds-db  (version 6)
  * Object stores:
- *   words   — { id: "<lang>|<level>|<word>", lang, level, word }
- *   history — { id: "<lang>|<level>|<timestamp>", lang, level, timestamp, words[] }
- *             index: "by-lang-level" on [lang, level]
+ *   words   — { id: "<lang>|<level>|<category>|<word>", lang, level, category, word,
+ *               rank, rankVersion }
+ *             rank is the word's commonness rank (services/frequency.js, null =
+ *             unranked) as of frequency list `rankVersion`; records from older
+ *             versions (or without one) are re-ranked when read
+ *   history — { id: "<lang>|<level>|<category>|<timestamp>", lang, level, category,
+ *               timestamp, words[] }
+ *             pruned to the last MAX_HISTORY entries per lang+level+category;
+ *             used for dedup only
+ *             index: "by-lang-level-category" on [lang, level, category]
+ *             (v5 — earlier versions had no category; upgrading files their
+ *             words and history under DEFAULT_CATEGORY)
+ *   games   — { id: "active", savedAt, ...game }  (v2) the in-progress puzzle,
+ *             so a reload can resume it
+ *   daily   — { id: "<lang>|<date>", lang, date, number, elapsed, hints, score, completedAt }  (v3)
+ *             one scored result per language per day
+ *   meta    — { key, value }  (v3) small app-wide records: the daily streak,
+ *             achievement progress, and per lang+level the bundled dictionary
+ *             version already seeded into `words` ("dictionary|<lang>|<level>")
+ *   results — { id: "<lang>|<level>|<date>", lang, level, mode, won, date, elapsed,
+ *               score, breakdown, words[], missed[], mistakes, hints, daily }  (v4)
+ *             one record per finished game, never pruned — feeds the stats panel
+ *   definitions — { id: "<lang>|<word>", lang, word, gloss, translation, fetchedAt }  (v6)
+ *             Wiktionary glosses (services/definitions.js), shared by every
+ *             level and category the word is cached under
  */
 
+import { shuffle }          from '../core/random.js';
+import { DEFAULT_CATEGORY } from '../core/categories.js';
+import { getLevel,
+         rankDistance }     from '../core/levels.js';
+import { loadFrequency }    from './frequency.js';
+
 const DB_NAME    = 'fillwrds-db';
-const DB_VERSION = 1;
+const DB_VERSION = 6;
 const MAX_HISTORY = 20;
 
 // ── DB open ──────────────────────────────────────────────────────────────────
@@ -31,10 +59,41 @@ function openDB() {
         db.createObjectStore('words', { keyPath: 'id' });
       }
 
-      // history store with compound index for fast per-lang/level queries
+      // history store (its per-lang/level/category index is added below)
       if (!db.objectStoreNames.contains('history')) {
-        const histStore = db.createObjectStore('history', { keyPath: 'id' });
-        histStore.createIndex('by-lang-level', ['lang', 'level'], { unique: false });
+        db.createObjectStore('history', { keyPath: 'id' });
+      }
+
+      // games store (v2): the active game snapshot
+      if (!db.objectStoreNames.contains('games')) {
+        db.createObjectStore('games', { keyPath: 'id' });
+      }
+
+      // daily results + key-value meta store (v3)
+      if (!db.objectStoreNames.contains('daily')) {
+        db.createObjectStore('daily', { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains('meta')) {
+        db.createObjectStore('meta', { keyPath: 'key' });
+      }
+
+      // results store (v4): every finished game, kept for statistics
+      if (!db.objectStoreNames.contains('results')) {
+        const results = db.createObjectStore('results', { keyPath: 'id' });
+        if (e.oldVersion === 3) copyHistoryResults(e.target.transaction, results);
+      }
+
+      // category dimension (v5): re-key words and history under a category
+      const histStore = e.target.transaction.objectStore('history');
+      if (histStore.indexNames.contains('by-lang-level')) histStore.deleteIndex('by-lang-level');
+      if (!histStore.indexNames.contains('by-lang-level-category')) {
+        histStore.createIndex('by-lang-level-category', ['lang', 'level', 'category'], { unique: false });
+      }
+      if (e.oldVersion > 0 && e.oldVersion < 5) addDefaultCategory(e.target.transaction);
+
+      // definitions store (v6): glosses for words, read offline
+      if (!db.objectStoreNames.contains('definitions')) {
+        db.createObjectStore('definitions', { keyPath: 'id' });
       }
     };
 
@@ -49,29 +108,115 @@ function openDB() {
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
-function wordId(lang, level, word) {
-  return `${lang}|${level}|${word}`;
+/**
+ * v3 kept won games' results on their history entry, where pruning would
+ * eventually drop them. Copy them into the new results store.
+ */
+function copyHistoryResults(upgradeTx, results) {
+  upgradeTx.objectStore('history').openCursor().onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (!cursor) return;
+
+    const { lang, level, timestamp, words, result } = cursor.value;
+    if (result) {
+      results.put({
+        id:        resultId(lang, level, timestamp),
+        lang,
+        level,
+        mode:      result.mode,
+        won:       true,
+        date:      timestamp,
+        elapsed:   result.elapsed,
+        score:     result.score?.total ?? 0,
+        breakdown: result.score ?? null,
+        words,
+        missed:    [],
+        mistakes:  result.score?.mistakes ?? 0,
+        hints:     result.hints,
+        daily:     false,
+      });
+    }
+    cursor.continue();
+  };
+}
+
+/**
+ * Before v5 words and history had no category. Move every record under
+ * DEFAULT_CATEGORY, so the cache and recent history carry over to the
+ * untargeted puzzles they came from. Re-keyed records can come round
+ * again in the same cursor, so anything with a category is left alone.
+ */
+function addDefaultCategory(upgradeTx) {
+  const rekey = (storeName, newId) => {
+    const store = upgradeTx.objectStore(storeName);
+    store.openCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      const record = cursor.value;
+      if (!record.category) {
+        const moved = { ...record, category: DEFAULT_CATEGORY };
+        moved.id = newId(moved);
+        cursor.delete();
+        store.put(moved);
+      }
+      cursor.continue();
+    };
+  };
+  rekey('words',   r => wordId(r.lang, r.level, r.category, r.word));
+  rekey('history', r => historyId(r.lang, r.level, r.category, r.timestamp));
+}
+
+function wordId(lang, level, category, word) {
+  return `${lang}|${level}|${category}|${word}`;
+}
+
+function historyId(lang, level, category, timestamp) {
+  return `${lang}|${level}|${category}|${timestamp}`;
 }
 
-function historyId(lang, level, timestamp) {
+function resultId(lang, level, timestamp) {
   return `${lang}|${level}|${timestamp}`;
 }
 
-/** Fisher-Yates shuffle (in-place, returns same array). */
-function shuffle(arr) {
-  for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [arr[i], arr[j]] = [arr[j], arr[i]];
-  }
-  return arr;
+function definitionId(lang, word) {
+  return `${lang}|${word}`;
+}
+
+const ACTIVE_GAME_ID   = 'active';
+const STREAK_KEY       = 'daily-streak';
+const ACHIEVEMENTS_KEY = 'achievements';
+const DICTIONARY_KEY   = 'dictionary';
+
+function dictionaryKey(lang, level) {
+  return `${DICTIONARY_KEY}|${lang}|${level}`;
+}
+
+/** Resolve with a single record from `storeName`, or null. */
+function getRecord(db, storeName, key) {
+  return new Promise((resolve, reject) => {
+    const tx  = db.transaction(storeName, 'readonly');
+    const req = tx.objectStore(storeName).get(key);
+    req.onsuccess = () => resolve(req.result ?? null);
+    req.onerror   = () => reject(req.error);
+  });
+}
+
+/** Write a single record into `storeName`. */
+function putRecord(db, storeName, record) {
+  const tx = db.transaction(storeName, 'readwrite');
+  tx.objectStore(storeName).put(record);
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror    = () => reject(tx.error);
+  });
 }
 
-/** Get all history entries for a lang+level, sorted oldest→newest. */
-async function getHistory(db, lang, level) {
+/** Get all history entries for a lang+level+category, sorted oldest→newest. */
+async function getHistory(db, lang, level, category) {
   return new Promise((resolve, reject) => {
     const tx    = db.transaction('history', 'readonly');
-    const index = tx.objectStore('history').index('by-lang-level');
-    const req   = index.getAll([lang, level]);
+    const index = tx.objectStore('history').index('by-lang-level-category');
+    const req   = index.getAll([lang, level, category]);
     req.onsuccess = () => {
       const entries = (req.result || []).sort((a, b) => a.timestamp - b.timestamp);
       resolve(entries);
@@ -80,9 +225,9 @@ async function getHistory(db, lang, level) {
   });
 }
 
-/** Collect all words used in the last MAX_HISTORY iterations for lang+level. */
-async function getRecentlyUsedWords(db, lang, level) {
-  const history = await getHistory(db, lang, level);
+/** Collect all words used in the last MAX_HISTORY iterations for lang+level+category. */
+async function getRecentlyUsedWords(db, lang, level, category) {
+  const history = await getHistory(db, lang, level, category);
   const recent  = history.slice(-MAX_HISTORY);
   const used    = new Set();
   for (const entry of recent) {
@@ -94,39 +239,62 @@ async function getRecentlyUsedWords(db, lang, level) {
 // ── Public API ────────────────────────────────────────────────────────────────
 
 /**
- * getWords(lang, level, count)
- * Returns up to `count` cached words for the given lang+level,
- * excluding any word that appeared in the last 20 iterations.
+ * getWords(lang, level, count, rng?, category?)
+ * Returns up to `count` cached words for the given lang+level+category,
+ * excluding any word that appeared in that category's last 20 iterations.
+ * Words must fit the level's length band; within it, words in the level's
+ * frequency band come first, and if there are too few the rest are made up
+ * from the words whose rank lies closest to the band. Ranks stored against
+ * an older frequency list are recomputed and written back on the way.
+ * Pass a seeded `rng` (core/random.js) to make the selection reproducible
+ * for a given cache state.
  */
-export async function getWords(lang, level, count) {
+export async function getWords(lang, level, count, rng = Math.random, category = DEFAULT_CATEGORY) {
+  const freq    = await loadFrequency(lang);
   const db      = await openDB();
-  const used    = await getRecentlyUsedWords(db, lang, level);
+  const used    = await getRecentlyUsedWords(db, lang, level, category);
+  const { wordLengthMin, wordLengthMax, frequency } = getLevel(level);
 
-  // Collect a large candidate pool then shuffle + slice for variety.
+  // Collect a large in-band pool then shuffle + slice for variety.
   // IndexedDB iterates alphabetically so a small limit biases results
   // toward words starting with А; 500+ ensures broad alphabet coverage.
   const COLLECT_LIMIT = Math.max(count * 50, 500);
 
   return new Promise((resolve, reject) => {
-    const tx      = db.transaction('words', 'readonly');
-    const store   = tx.objectStore('words');
-    const results = [];
+    // readwrite: stale ranks are updated in place
+    const tx         = db.transaction('words', 'readwrite');
+    const store      = tx.objectStore('words');
+    const candidates = [];  // { word, distance }
+    let inBand       = 0;
 
     const range = IDBKeyRange.bound(
-      `${lang}|${level}|`,
-      `${lang}|${level}|\uffff`
+      `${lang}|${level}|${category}|`,
+      `${lang}|${level}|${category}|\uffff`
     );
     const cursor = store.openCursor(range);
 
     cursor.onsuccess = (e) => {
       const c = e.target.result;
-      if (!c || results.length >= COLLECT_LIMIT) {
-        resolve(shuffle(results).slice(0, count));
+      if (!c || inBand >= COLLECT_LIMIT) {
+        // Shuffle first: the stable sort keeps equally close words in random order
+        const picked = shuffle(candidates, rng)
+          .sort((a, b) => a.distance - b.distance)
+          .slice(0, count)
+          .map(({ word }) => word);
+        resolve(picked);
         return;
       }
-      const word = c.value.word;
-      if (!used.has(word.toLowerCase())) {
-        results.push(word);
+      const { word, rankVersion } = c.value;
+      const lower = word.toLowerCase();
+      let { rank } = c.value;
+      if (rankVersion !== freq.version) {
+        rank = freq.rankOf(lower);
+        c.update({ ...c.value, rank, rankVersion: freq.version });
+      }
+      if (!used.has(lower) && lower.length >= wordLengthMin && lower.length <= wordLengthMax) {
+        const distance = rankDistance(frequency, rank, freq.size);
+        if (distance === 0) inBand++;
+        candidates.push({ word, distance });
       }
       c.continue();
     };
@@ -136,19 +304,22 @@ export async function getWords(lang, level, count) {
 }
 
 /**
- * addWords(lang, level, words[])
+ * addWords(lang, level, words[], category?)
  * Persists new words into the cache. Silently skips duplicates.
  */
-export async function addWords(lang, level, words) {
+export async function addWords(lang, level, words, category = DEFAULT_CATEGORY) {
   if (!words || words.length === 0) return;
+  // Loaded before the transaction opens: it would auto-commit across the await
+  const freq = await loadFrequency(lang);
   const db = await openDB();
   const tx = db.transaction('words', 'readwrite');
   const store = tx.objectStore('words');
 
   for (const word of words) {
-    const id = wordId(lang, level, word.toLowerCase());
+    const lower = word.toLowerCase();
+    const id    = wordId(lang, level, category, lower);
     // putOnly if not already present to avoid overwriting metadata in future
-    store.put({ id, lang, level, word: word.toLowerCase() });
+    store.put({ id, lang, level, category, word: lower, rank: freq.rankOf(lower), rankVersion: freq.version });
   }
 
   return new Promise((resolve, reject) => {
@@ -158,14 +329,14 @@ export async function addWords(lang, level, words) {
 }
 
 /**
- * recordIteration(lang, level, usedWords[])
+ * recordIteration(lang, level, usedWords[], category?)
  * Saves the list of words used in the current game, then prunes history
- * so only the last MAX_HISTORY entries remain for this lang+level.
+ * so only the last MAX_HISTORY entries remain for this lang+level+category.
  */
-export async function recordIteration(lang, level, usedWords) {
+export async function recordIteration(lang, level, usedWords, category = DEFAULT_CATEGORY) {
   const db        = await openDB();
   const timestamp = Date.now();
-  const id        = historyId(lang, level, timestamp);
+  const id        = historyId(lang, level, category, timestamp);
 
   // Write new entry
   const writeTx = db.transaction('history', 'readwrite');
@@ -173,6 +344,7 @@ export async function recordIteration(lang, level, usedWords) {
     id,
     lang,
     level,
+    category,
     timestamp,
     words: usedWords.map(w => w.toLowerCase()),
   });
@@ -182,7 +354,7 @@ export async function recordIteration(lang, level, usedWords) {
   });
 
   // Prune: keep only last MAX_HISTORY entries
-  const history = await getHistory(db, lang, level);
+  const history = await getHistory(db, lang, level, category);
   if (history.length <= MAX_HISTORY) return;
 
   const toDelete = history.slice(0, history.length - MAX_HISTORY);
@@ -197,12 +369,190 @@ export async function recordIteration(lang, level, usedWords) {
   });
 }
 
+/**
+ * saveResult(result)
+ * Records a finished game (won or abandoned) for the statistics panel.
+ * `result` holds { lang, level, mode, won, elapsed, score, breakdown,
+ * words, missed, mistakes, hints, daily }; the date is stamped here.
+ */
+export async function saveResult(result) {
+  const db   = await openDB();
+  const date = Date.now();
+  return putRecord(db, 'results', { ...result, id: resultId(result.lang, result.level, date), date });
+}
+
+/**
+ * getResults()
+ * Every recorded game, oldest first.
+ */
+export async function getResults() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx  = db.transaction('results', 'readonly');
+    const req = tx.objectStore('results').getAll();
+    req.onsuccess = () => resolve((req.result || []).sort((a, b) => a.date - b.date));
+    req.onerror   = () => reject(req.error);
+  });
+}
+
+/**
+ * saveActiveGame(game)
+ * Stores a snapshot of the in-progress game, replacing the previous one.
+ * `game` must be structured-clonable (plain data: grid, placements, found
+ * words with their cells, elapsed seconds, hints, …).
+ */
+export async function saveActiveGame(game) {
+  const db = await openDB();
+  return putRecord(db, 'games', { ...game, id: ACTIVE_GAME_ID, savedAt: Date.now() });
+}
+
+/**
+ * loadActiveGame()
+ * Returns the saved in-progress game, or null if there is none.
+ */
+export async function loadActiveGame() {
+  const db = await openDB();
+  return getRecord(db, 'games', ACTIVE_GAME_ID);
+}
+
+/**
+ * clearActiveGame()
+ * Forgets the saved game (won, abandoned or declined on startup).
+ */
+export async function clearActiveGame() {
+  const db = await openDB();
+  const tx = db.transaction('games', 'readwrite');
+  tx.objectStore('games').delete(ACTIVE_GAME_ID);
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror    = () => reject(tx.error);
+  });
+}
+
+/**
+ * getDailyResult(lang, date)
+ * The scored result of the daily puzzle for a language and date key, or null.
+ */
+export async function getDailyResult(lang, date) {
+  const db = await openDB();
+  return getRecord(db, 'daily', `${lang}|${date}`);
+}
+
+/**
+ * saveDailyResult({ lang, date, number, elapsed, hints, score })
+ * Records a completed daily. The first result for a lang+date wins:
+ * returns false (and writes nothing) if that daily was already scored.
+ * add() does the check and the write in one step, so two tabs finishing
+ * the same daily can't both record it.
+ */
+export async function saveDailyResult(result) {
+  const db  = await openDB();
+  const tx  = db.transaction('daily', 'readwrite');
+  const req = tx.objectStore('daily').add({
+    ...result,
+    id:          `${result.lang}|${result.date}`,
+    completedAt: Date.now(),
+  });
+
+  return new Promise((resolve, reject) => {
+    let added = true;
+    req.onerror = (e) => {
+      if (req.error?.name !== 'ConstraintError') return;
+      // Already completed: keep the transaction (and the caller) from failing
+      e.preventDefault();
+      e.stopPropagation();
+      added = false;
+    };
+    tx.oncomplete = () => resolve(added);
+    tx.onerror    = () => reject(tx.error);
+  });
+}
+
+/**
+ * getStreak()
+ * The daily streak record { current, best, lastDate }, or null if none yet.
+ */
+export async function getStreak() {
+  const db  = await openDB();
+  const rec = await getRecord(db, 'meta', STREAK_KEY);
+  return rec?.value ?? null;
+}
+
+/**
+ * saveStreak(streak)
+ * Stores the daily streak record.
+ */
+export async function saveStreak(streak) {
+  const db = await openDB();
+  return putRecord(db, 'meta', { key: STREAK_KEY, value: streak });
+}
+
+/**
+ * getAchievementProgress()
+ * The achievements.js progress record, or null if nothing was tracked yet.
+ */
+export async function getAchievementProgress() {
+  const db  = await openDB();
+  const rec = await getRecord(db, 'meta', ACHIEVEMENTS_KEY);
+  return rec?.value ?? null;
+}
+
+/**
+ * saveAchievementProgress(progress)
+ * Stores the achievements.js progress record.
+ */
+export async function saveAchievementProgress(progress) {
+  const db = await openDB();
+  return putRecord(db, 'meta', { key: ACHIEVEMENTS_KEY, value: progress });
+}
+
+/**
+ * getSeededVersion(lang, level)
+ * Version of the bundled dictionary last seeded into the cache for this
+ * lang+level, or null if it never was.
+ */
+export async function getSeededVersion(lang, level) {
+  const db  = await openDB();
+  const rec = await getRecord(db, 'meta', dictionaryKey(lang, level));
+  return rec?.value ?? null;
+}
+
+/**
+ * saveSeededVersion(lang, level, version)
+ * Records that the bundled dictionary `version` is in the cache.
+ */
+export async function saveSeededVersion(lang, level, version) {
+  const db = await openDB();
+  return putRecord(db, 'meta', { key: dictionaryKey(lang, level), value: version });
+}
+
+/**
+ * getDefinition(lang, word)
+ * The stored definition record for a word, or null if it was never looked up.
+ */
+export async function getDefinition(lang, word) {
+  const db = await openDB();
+  return getRecord(db, 'definitions', definitionId(lang, word.toLowerCase()));
+}
+
+/**
+ * saveDefinition({ lang, word, gloss, translation, fetchedAt })
+ * Stores a looked-up definition, replacing any earlier one for the word.
+ */
+export async function saveDefinition(definition) {
+  const db   = await openDB();
+  const word = definition.word.toLowerCase();
+  return putRecord(db, 'definitions', { ...definition, word, id: definitionId(definition.lang, word) });
+}
+
 /**
  * clearCache(lang?, level?)
- * Dev/reset utility.
- * - clearCache()            — wipes all words and history
- * - clearCache('en')        — wipes all English words and history
+ * Dev/reset utility. Also forgets which bundled dictionaries were seeded,
+ * so the next game seeds them again.
+ * - clearCache()            — wipes all words, history and definitions
+ * - clearCache('en')        — wipes all English words, history and definitions
  * - clearCache('en','easy') — wipes English easy words and history
+ *                             (definitions are per language, so they stay)
  */
 export async function clearCache(lang, level) {
   const db = await openDB();
@@ -229,20 +579,32 @@ export async function clearCache(lang, level) {
 
   await clearStore('words');
   await clearStore('history');
+  if (!level) await clearStore('definitions');
+
+  // Seeded-dictionary markers live in the shared meta store
+  await new Promise((resolve, reject) => {
+    const prefix = [DICTIONARY_KEY, lang, level].filter(Boolean).join('|') + '|';
+    const range  = level ? IDBKeyRange.only(dictionaryKey(lang, level))
+                         : IDBKeyRange.bound(prefix, `${prefix}\uffff`);
+    const tx     = db.transaction('meta', 'readwrite');
+    const req    = tx.objectStore('meta').delete(range);
+    req.onsuccess = resolve;
+    req.onerror   = () => reject(req.error);
+  });
 }
 
 /**
- * getStats(lang, level)
+ * getStats(lang, level, category?)
  * Returns { cachedWords, historyEntries } — useful for debugging.
  */
-export async function getStats(lang, level) {
+export async function getStats(lang, level, category = DEFAULT_CATEGORY) {
   const db      = await openDB();
-  const history = await getHistory(db, lang, level);
+  const history = await getHistory(db, lang, level, category);
 
   const wordCount = await new Promise((resolve, reject) => {
     const range = IDBKeyRange.bound(
-      `${lang}|${level}|`,
-      `${lang}|${level}|\uffff`
+      `${lang}|${level}|${category}|`,
+      `${lang}|${level}|${category}|\uffff`
     );
     const tx  = db.transaction('words', 'readonly');
     const req = tx.objectStore('words').count(range);
@@ -253,6 +615,6 @@ export async function getStats(lang, level) {
   return {
     cachedWords:    wordCount,
     historyEntries: history.length,
-    recentlyUsed:   [...(await getRecentlyUsedWords(db, lang, level))],
+    recentlyUsed:   [...(await getRecentlyUsedWords(db, lang, level, category))],
   };
 }